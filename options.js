@@ -1,8 +1,28 @@
 // Independent Tabs - Options Page
+// Backup export and BACKUP_VERSION live in shared.js
 
 document.addEventListener('DOMContentLoaded', async () => {
   const positionSelect = document.getElementById('position');
+  const windowViewSelect = document.getElementById('window-view');
   const defaultAutosaveCheckbox = document.getElementById('default-autosave');
+  const syncNativeGroupsCheckbox = document.getElementById('sync-native-groups');
+  const lazyRestoreCheckbox = document.getElementById('lazy-restore');
+  const trashRetentionSelect = document.getElementById('trash-retention');
+  const duplicateIgnoreHashCheckbox = document.getElementById('duplicate-ignore-hash');
+  const duplicateIgnoreQueryCheckbox = document.getElementById('duplicate-ignore-query');
+  const duplicateIgnoreTrailingSlashCheckbox = document.getElementById('duplicate-ignore-trailing-slash');
+  const duplicateOnOpenSelect = document.getElementById('duplicate-on-open');
+  const staleDaysSelect = document.getElementById('stale-days');
+  const staleDiscardHoursSelect = document.getElementById('stale-discard-hours');
+  const staleCloseDaysSelect = document.getElementById('stale-close-days');
+  const navigationScopeSelect = document.getElementById('navigation-scope');
+  const navigationWrapCheckbox = document.getElementById('navigation-wrap');
+  const collapsedNavigationSelect = document.getElementById('collapsed-navigation');
+  const rulesContainer = document.getElementById('rules');
+  const rulesPreview = document.getElementById('rules-preview');
+  const keymapPresetSelect = document.getElementById('keymap-preset');
+  const keymapTable = document.getElementById('keymap');
+  const keymapConflicts = document.getElementById('keymap-conflicts');
   const savedIndicator = document.getElementById('saved');
   const exportBtn = document.getElementById('export-btn');
   const importBtn = document.getElementById('import-btn');
@@ -12,7 +32,31 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load current settings
   const { settings = { newTabPosition: 'bottom', defaultAutoSave: false } } = await chrome.storage.local.get('settings');
   positionSelect.value = settings.newTabPosition || 'bottom';
+  windowViewSelect.value = settings.windowView || 'all';
   defaultAutosaveCheckbox.checked = settings.defaultAutoSave || false;
+  syncNativeGroupsCheckbox.checked = settings.syncNativeGroups || false;
+  lazyRestoreCheckbox.checked = settings.lazyRestore || false;
+  trashRetentionSelect.value = String(settings.trashRetentionDays || 30);
+  duplicateIgnoreHashCheckbox.checked = settings.duplicateIgnoreHash ?? true;
+  duplicateIgnoreQueryCheckbox.checked = settings.duplicateIgnoreQuery || false;
+  duplicateIgnoreTrailingSlashCheckbox.checked = settings.duplicateIgnoreTrailingSlash ?? true;
+  duplicateOnOpenSelect.value = settings.duplicateOnOpen || 'off';
+  staleDaysSelect.value = String(settings.staleDays ?? STALE_DAYS);
+  staleDiscardHoursSelect.value = String(settings.staleDiscardHours || 0);
+  staleCloseDaysSelect.value = String(settings.staleCloseDays || 0);
+  navigationScopeSelect.value = settings.navigationScope || 'all';
+  navigationWrapCheckbox.checked = settings.navigationWrap || false;
+  collapsedNavigationSelect.value = settings.collapsedNavigation || 'skip';
+
+  Object.entries(KEYMAP_PRESETS).forEach(([name, preset]) => {
+    keymapPresetSelect.add(new Option(preset.label, name));
+  });
+  let groupingRules = settings.groupingRules || [];
+  renderRules();
+
+  let keymap = getKeymap(settings);
+  let capturingActionId = null;  // Action waiting for a key press
+  renderKeymap();
 
   // Save settings helper
   async function saveSettings(updates) {
@@ -27,35 +71,178 @@ document.addEventListener('DOMContentLoaded', async () => {
     await saveSettings({ newTabPosition: e.target.value });
   });
 
+  windowViewSelect.addEventListener('change', async (e) => {
+    await saveSettings({ windowView: e.target.value });
+  });
+
   defaultAutosaveCheckbox.addEventListener('change', async (e) => {
     await saveSettings({ defaultAutoSave: e.target.checked });
   });
 
-  // Export backup
-  exportBtn.addEventListener('click', async () => {
-    try {
-      hideError();
-      const data = await chrome.storage.local.get(null);
+  syncNativeGroupsCheckbox.addEventListener('change', async (e) => {
+    await saveSettings({ syncNativeGroups: e.target.checked });
+  });
 
-      const backup = {
-        version: 1,
-        extensionVersion: chrome.runtime.getManifest().version,
-        timestamp: new Date().toISOString(),
-        data: data
-      };
+  lazyRestoreCheckbox.addEventListener('change', async (e) => {
+    await saveSettings({ lazyRestore: e.target.checked });
+  });
 
-      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
+  trashRetentionSelect.addEventListener('change', async (e) => {
+    await saveSettings({ trashRetentionDays: Number(e.target.value) });
+  });
 
-      const filename = `independent-tabs-backup-${new Date().toISOString().slice(0, 10)}.json`;
+  duplicateIgnoreHashCheckbox.addEventListener('change', async (e) => {
+    await saveSettings({ duplicateIgnoreHash: e.target.checked });
+  });
 
-      await chrome.downloads.download({
-        url: url,
-        filename: filename,
-        saveAs: true
-      });
+  duplicateIgnoreQueryCheckbox.addEventListener('change', async (e) => {
+    await saveSettings({ duplicateIgnoreQuery: e.target.checked });
+  });
+
+  duplicateIgnoreTrailingSlashCheckbox.addEventListener('change', async (e) => {
+    await saveSettings({ duplicateIgnoreTrailingSlash: e.target.checked });
+  });
+
+  duplicateOnOpenSelect.addEventListener('change', async (e) => {
+    await saveSettings({ duplicateOnOpen: e.target.value });
+  });
+
+  staleDaysSelect.addEventListener('change', async (e) => {
+    await saveSettings({ staleDays: Number(e.target.value) });
+  });
+
+  staleDiscardHoursSelect.addEventListener('change', async (e) => {
+    await saveSettings({ staleDiscardHours: Number(e.target.value) });
+  });
+
+  staleCloseDaysSelect.addEventListener('change', async (e) => {
+    await saveSettings({ staleCloseDays: Number(e.target.value) });
+  });
+
+  navigationScopeSelect.addEventListener('change', async (e) => {
+    await saveSettings({ navigationScope: e.target.value });
+  });
+
+  navigationWrapCheckbox.addEventListener('change', async (e) => {
+    await saveSettings({ navigationWrap: e.target.checked });
+  });
+
+  collapsedNavigationSelect.addEventListener('change', async (e) => {
+    await saveSettings({ collapsedNavigation: e.target.value });
+  });
+
+  // Grouping rules - saved as they're edited, in priority order
+  document.getElementById('add-rule-btn').addEventListener('click', async () => {
+    groupingRules = [...groupingRules, { id: generateGroupId(), match: 'url', pattern: '', groupName: '', createGroup: true }];
+    renderRules();
+    rulesContainer.querySelector('.rule:last-child .rule-pattern').focus();
+    await saveSettings({ groupingRules });
+  });
+
+  rulesContainer.addEventListener('change', async (e) => {
+    const ruleEl = e.target.closest('.rule');
+    if (!ruleEl) return;
+    const field = e.target.dataset.field;
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    groupingRules = groupingRules.map(rule => rule.id === ruleEl.dataset.ruleId ? { ...rule, [field]: value } : rule);
+    await saveSettings({ groupingRules });
+  });
+
+  rulesContainer.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const index = groupingRules.findIndex(rule => rule.id === button.closest('.rule').dataset.ruleId);
+    const rules = [...groupingRules];
+
+    if (button.dataset.action === 'delete') {
+      rules.splice(index, 1);
+    } else {
+      const target = index + (button.dataset.action === 'up' ? -1 : 1);
+      if (target < 0 || target >= rules.length) return;
+      [rules[index], rules[target]] = [rules[target], rules[index]];
+    }
+    groupingRules = rules;
+    renderRules();
+    await saveSettings({ groupingRules });
+  });
+
+  document.getElementById('preview-rules-btn').addEventListener('click', () => runGroupingRules(true));
+  document.getElementById('apply-rules-btn').addEventListener('click', () => runGroupingRules(false));
+
+  // Panel keys
+  keymapPresetSelect.addEventListener('change', async (e) => {
+    keymap = { ...KEYMAP_PRESETS[e.target.value].keymap };
+    capturingActionId = null;
+    renderKeymap();
+    await saveSettings({ keymap });
+  });
+
+  keymapTable.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const actionId = button.closest('tr').dataset.action;
+
+    if (button.classList.contains('key-add')) {
+      capturingActionId = capturingActionId === actionId ? null : actionId;
+      renderKeymap();
+      keymapTable.querySelector('.key-add.capturing')?.focus();
+    } else if (button.dataset.combo) {
+      keymap = { ...keymap, [actionId]: keymap[actionId].filter(combo => combo !== button.dataset.combo) };
+      renderKeymap();
+      await saveSettings({ keymap });
+    }
+  });
+
+  // Clicking (or tabbing) elsewhere stops waiting for a key
+  keymapTable.addEventListener('focusout', (e) => {
+    if (!capturingActionId || e.relatedTarget?.classList.contains('key-add')) return;
+    capturingActionId = null;
+    renderKeymap();
+  });
+
+  document.addEventListener('keydown', async (e) => {
+    if (!capturingActionId) return;
+    const plain = !e.ctrlKey && !e.altKey && !e.metaKey;
+
+    // Escape cancels, Tab moves focus as usual - neither can be bound
+    if (e.key === 'Tab' && plain) return;
+    if (e.key === 'Escape' && plain && !e.shiftKey) {
+      e.preventDefault();
+      capturingActionId = null;
+      renderKeymap();
+      return;
+    }
+
+    const combo = getKeyCombo(e);
+    if (!combo) return;  // Wait for the key after the modifiers
+    e.preventDefault();
+
+    const actionId = capturingActionId;
+    capturingActionId = null;
+
+    // A key does one thing - offer to take it from the action using it
+    const owner = KEYMAP_ACTIONS.find(({ id }) => id !== actionId && keymap[id]?.includes(combo));
+    if (owner) {
+      const label = KEYMAP_ACTIONS.find(({ id }) => id === actionId).label;
+      if (!confirm(`${formatKeyCombo(combo)} is used for "${owner.label}". Use it for "${label}" instead?`)) {
+        renderKeymap();
+        return;
+      }
+      keymap = { ...keymap, [owner.id]: keymap[owner.id].filter(c => c !== combo) };
+    }
 
-      URL.revokeObjectURL(url);
+    if (!keymap[actionId].includes(combo)) {
+      keymap = { ...keymap, [actionId]: [...keymap[actionId], combo] };
+    }
+    renderKeymap();
+    await saveSettings({ keymap });
+  });
+
+  // Export backup
+  exportBtn.addEventListener('click', async () => {
+    try {
+      hideError();
+      await exportBackup();
       showSaved('Backup exported');
     } catch (err) {
       showError('Export failed: ' + err.message);
@@ -81,6 +268,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (!backup.version || !backup.data) {
         throw new Error('Invalid backup file format');
       }
+      if (backup.version > BACKUP_VERSION) {
+        throw new Error('Backup was made by a newer version of Independent Tabs - please update first');
+      }
 
       // Validate data types
       if (backup.data.items && !Array.isArray(backup.data.items)) {
@@ -113,7 +303,25 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Reload settings display
       const newSettings = backup.data.settings || { newTabPosition: 'bottom', defaultAutoSave: false };
       positionSelect.value = newSettings.newTabPosition || 'bottom';
+      windowViewSelect.value = newSettings.windowView || 'all';
       defaultAutosaveCheckbox.checked = newSettings.defaultAutoSave || false;
+      syncNativeGroupsCheckbox.checked = newSettings.syncNativeGroups || false;
+      lazyRestoreCheckbox.checked = newSettings.lazyRestore || false;
+      trashRetentionSelect.value = String(newSettings.trashRetentionDays || 30);
+      duplicateIgnoreHashCheckbox.checked = newSettings.duplicateIgnoreHash ?? true;
+      duplicateIgnoreQueryCheckbox.checked = newSettings.duplicateIgnoreQuery || false;
+      duplicateIgnoreTrailingSlashCheckbox.checked = newSettings.duplicateIgnoreTrailingSlash ?? true;
+      duplicateOnOpenSelect.value = newSettings.duplicateOnOpen || 'off';
+      staleDaysSelect.value = String(newSettings.staleDays ?? STALE_DAYS);
+      staleDiscardHoursSelect.value = String(newSettings.staleDiscardHours || 0);
+      staleCloseDaysSelect.value = String(newSettings.staleCloseDays || 0);
+      navigationScopeSelect.value = newSettings.navigationScope || 'all';
+      navigationWrapCheckbox.checked = newSettings.navigationWrap || false;
+      collapsedNavigationSelect.value = newSettings.collapsedNavigation || 'skip';
+      groupingRules = newSettings.groupingRules || [];
+      renderRules();
+      keymap = getKeymap(newSettings);
+      renderKeymap();
 
       // Show success with alert to ensure visibility
       const restoredItems = Array.isArray(verified.items) ? verified.items.length : 0;
@@ -135,6 +343,131 @@ document.addEventListener('DOMContentLoaded', async () => {
     importFile.value = '';
   });
 
+  function renderRules() {
+    rulesContainer.replaceChildren(...groupingRules.map((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'rule';
+      row.dataset.ruleId = rule.id;
+
+      const match = document.createElement('select');
+      match.dataset.field = 'match';
+      match.add(new Option('URL', 'url'));
+      match.add(new Option('Domain', 'domain'));
+      match.value = rule.match;
+
+      const pattern = document.createElement('input');
+      pattern.type = 'text';
+      pattern.className = 'rule-pattern';
+      pattern.dataset.field = 'pattern';
+      pattern.placeholder = rule.match === 'domain' ? 'github.com' : '*.atlassian.net/*';
+      pattern.value = rule.pattern;
+      match.addEventListener('change', () => {
+        pattern.placeholder = match.value === 'domain' ? 'github.com' : '*.atlassian.net/*';
+      });
+
+      const arrow = document.createElement('span');
+      arrow.textContent = '→';
+
+      const groupName = document.createElement('input');
+      groupName.type = 'text';
+      groupName.className = 'rule-group';
+      groupName.dataset.field = 'groupName';
+      groupName.placeholder = 'Group name';
+      groupName.value = rule.groupName;
+
+      const create = document.createElement('label');
+      create.className = 'rule-create';
+      create.title = 'Create the group if there is none with this name';
+      const createCheckbox = document.createElement('input');
+      createCheckbox.type = 'checkbox';
+      createCheckbox.dataset.field = 'createGroup';
+      createCheckbox.checked = rule.createGroup;
+      create.append(createCheckbox, 'create');
+
+      const buttons = [['up', '↑', 'Higher priority'], ['down', '↓', 'Lower priority'], ['delete', '×', 'Delete rule']]
+        .map(([action, text, title]) => {
+          const button = document.createElement('button');
+          button.dataset.action = action;
+          button.textContent = text;
+          button.title = title;
+          button.disabled = (action === 'up' && index === 0) || (action === 'down' && index === groupingRules.length - 1);
+          return button;
+        });
+
+      row.append(match, pattern, arrow, groupName, create, ...buttons);
+      return row;
+    }));
+  }
+
+  // Dry run lists the moves, otherwise they're made. Both only look at ungrouped tabs.
+  async function runGroupingRules(dryRun) {
+    try {
+      hideError();
+      const response = await chrome.runtime.sendMessage({ type: 'command', command: 'apply-grouping-rules', dryRun });
+      if (response?.error) throw new Error(response.error);
+
+      const moves = response.result;
+      rulesPreview.replaceChildren(...moves.map(move => {
+        const item = document.createElement('li');
+        item.textContent = `${move.title} → ${move.groupName}${move.newGroup ? ' (new group)' : ''}`;
+        return item;
+      }));
+      const count = `${moves.length} tab${moves.length === 1 ? '' : 's'}`;
+      showSaved(dryRun ? `Would move ${count}` : `Moved ${count}`);
+    } catch (err) {
+      showError('Grouping rules failed: ' + err.message);
+    }
+  }
+
+  // One row per action with its keys; keys bound to several actions are marked
+  function renderKeymap() {
+    const conflicts = getKeymapConflicts(keymap);
+    const labels = Object.fromEntries(KEYMAP_ACTIONS.map(({ id, label }) => [id, label]));
+
+    keymapPresetSelect.value = Object.keys(KEYMAP_PRESETS).find(name =>
+      KEYMAP_ACTIONS.every(({ id }) =>
+        JSON.stringify(KEYMAP_PRESETS[name].keymap[id] || []) === JSON.stringify(keymap[id] || []))
+    ) || 'custom';
+
+    keymapTable.replaceChildren(...KEYMAP_ACTIONS.map(({ id, label }) => {
+      const row = document.createElement('tr');
+      row.dataset.action = id;
+      const labelCell = row.insertCell();
+      labelCell.textContent = label;
+      const keysCell = row.insertCell();
+
+      (keymap[id] || []).forEach(combo => {
+        const chip = document.createElement('span');
+        chip.className = 'key-chip';
+        chip.textContent = formatKeyCombo(combo);
+        if (conflicts.has(combo)) {
+          chip.classList.add('conflict');
+          chip.title = 'Also bound to: ' + conflicts.get(combo).filter(a => a !== id).map(a => labels[a]).join(', ');
+        }
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove key';
+        remove.dataset.combo = combo;
+        chip.appendChild(remove);
+        keysCell.appendChild(chip);
+      });
+
+      const add = document.createElement('button');
+      add.className = 'key-add';
+      add.textContent = capturingActionId === id ? 'Press a key…' : '+';
+      add.title = 'Add key';
+      add.classList.toggle('capturing', capturingActionId === id);
+      keysCell.appendChild(add);
+      return row;
+    }));
+
+    // Conflicts only come from imported backups or older settings - editing resolves them
+    keymapConflicts.textContent = [...conflicts].map(([combo, actionIds]) =>
+      `${formatKeyCombo(combo)} is bound to ${actionIds.map(a => `"${labels[a]}"`).join(' and ')} - only the first one runs.`
+    ).join(' ');
+    keymapConflicts.classList.toggle('show', conflicts.size > 0);
+  }
+
   function showSaved(message = 'Settings saved') {
     savedIndicator.textContent = message;
     savedIndicator.classList.add('show');
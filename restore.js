@@ -0,0 +1,27 @@
+// Independent Tabs - Lazy restore placeholder
+// Stands in for a restored tab (see Lazy Restore in shared.js) and loads its page the
+// first time the tab is shown
+
+const params = new URLSearchParams(location.search);
+const url = params.get('url');
+const title = params.get('title') || url;
+
+document.title = title;
+document.getElementById('title').textContent = title;
+document.getElementById('url').textContent = url;
+
+function loadPage() {
+  if (document.visibilityState !== 'visible') return;
+  document.removeEventListener('visibilitychange', loadPage);
+
+  // Replacing keeps Back from returning to the placeholder. Pages can't open chrome:// or
+  // file:// URLs themselves - the tabs API can.
+  if (/^https?:/.test(url)) {
+    location.replace(url);
+  } else {
+    chrome.tabs.getCurrent(tab => chrome.tabs.update(tab.id, { url }));
+  }
+}
+
+document.addEventListener('visibilitychange', loadPage);
+loadPage();
@@ -1,5 +1,76 @@
 // Independent Tabs - Service Worker
-// Handles tab events and maintains the custom tab order in storage
+// Owns the custom tab order (items), custom names and saved sessions. Tab events are
+// handled here so the state stays correct while the side panel is closed - the panel
+// only renders the stored state and sends commands (see commandHandlers below).
+
+importScripts('shared.js');
+
+const DEFAULT_SETTINGS = { newTabPosition: 'bottom' };
+const STATE_KEYS = ['items', 'customNames', 'protectedTabs', 'savedSessions', 'tabRecords', 'trash', 'snoozed', 'settings'];
+
+// Delay before dropping tabs of a closed window - keeps them re-identifiable if the
+// window is reopened or the browser is quitting
+const WINDOW_CLOSE_CLEANUP_DELAY = 10000;
+
+// Serializes all state mutations
+let stateQueue = Promise.resolve();
+
+// Debounce queue for tab removal (batches rapid tab closures into one write)
+let removeQueue = [];
+let removeTimeout = null;
+
+// Autosave queue for groups with autoSave enabled
+let autosaveQueue = new Set();
+let autosaveTimeout = null;
+
+// Pending tabRecords updates (titles change often while pages load, tabs are switched often)
+let recordsQueue = new Map();
+let recordsTimeout = null;
+
+// Last known active tab per window, loaded from session storage once (see Stale Tabs)
+let activeTabsLoad = null;
+
+let cleanupTimeout = null;
+
+// Run a mutation against the stored state. Mutations are serialized so tab events and
+// panel commands never overwrite each other; only keys that changed are written back.
+function withState(mutator) {
+  const run = stateQueue.then(async () => {
+    const stored = await chrome.storage.local.get(STATE_KEYS);
+    const state = {
+      items: stored.items || [],
+      customNames: stored.customNames || {},
+      protectedTabs: stored.protectedTabs || {},
+      savedSessions: stored.savedSessions || {},
+      tabRecords: stored.tabRecords || {},
+      trash: stored.trash || [],
+      snoozed: stored.snoozed || [],
+      settings: { ...DEFAULT_SETTINGS, ...stored.settings }
+    };
+
+    const before = {};
+    STATE_KEYS.forEach(key => {
+      before[key] = JSON.stringify(state[key]);
+    });
+    const sortedTabs = getKeptSortedTabs(state.items);
+
+    const result = await mutator(state);
+    await resortGrownGroups(state, sortedTabs);
+
+    const changes = {};
+    STATE_KEYS.forEach(key => {
+      if (JSON.stringify(state[key]) !== before[key]) changes[key] = state[key];
+    });
+    if (Object.keys(changes).length > 0) {
+      await chrome.storage.local.set(changes);
+    }
+
+    return result;
+  });
+
+  stateQueue = run.catch(err => console.error('Independent Tabs: state update failed', err));
+  return run;
+}
 
 // Initialize on install
 chrome.runtime.onInstalled.addListener(async () => {
@@ -9,61 +80,1997 @@ chrome.runtime.onInstalled.addListener(async () => {
   // Initialize settings with defaults if not set
   const { settings } = await chrome.storage.local.get('settings');
   if (!settings) {
-    await chrome.storage.local.set({
-      settings: { newTabPosition: 'bottom' }
-    });
+    await chrome.storage.local.set({ settings: DEFAULT_SETTINGS });
   }
 
-  // Initialize tab order with all tabs (exclude PWAs, apps, popups)
-  const tabs = await chrome.tabs.query({ windowType: 'normal' });
-  const { tabOrder } = await chrome.storage.local.get('tabOrder');
-  if (!tabOrder || tabOrder.length === 0) {
-    const initialOrder = tabs.map(t => t.id);
-    await chrome.storage.local.set({ tabOrder: initialOrder });
+  // Migration from old tabOrder format
+  const { items, tabOrder } = await chrome.storage.local.get(['items', 'tabOrder']);
+  if ((!items || items.length === 0) && tabOrder) {
+    await chrome.storage.local.set({ items: tabOrder });
   }
+  await chrome.storage.local.remove('tabOrder');
+
+  // Session versions are looked up by ID - older ones were recorded without one
+  await withState(state => {
+    const trashedSessions = state.trash.filter(entry => entry.type === 'session').map(entry => entry.session);
+    const sessions = [...Object.values(state.savedSessions), ...trashedSessions];
+    sessions.forEach(session => {
+      session.versions?.forEach(version => {
+        if (!version.id) version.id = crypto.randomUUID();
+      });
+    });
+  });
+
+  await withState(syncWithTabs);
+  await scheduleSnoozeAlarm();
+  await scheduleStaleCheck();
+});
+
+// Browser restart - all tab IDs are new. Chrome may still be restoring tabs, so keep
+// unmatched entries for now (onCreated matches late tabs) and clean up afterwards.
+chrome.runtime.onStartup.addListener(async () => {
+  await withState(state => syncWithTabs(state, { keepStale: true }));
+  scheduleCleanup();
+  await withState(pruneTrash);
+  await scheduleSnoozeAlarm();
+  await scheduleStaleCheck();
 });
 
+function queryNormalTabs() {
+  // Exclude PWAs, apps, popups
+  return chrome.tabs.query({ windowType: 'normal' });
+}
+
+// tabRecords entry - openedAt is added when a tab is opened and lastActiveAt when it's
+// activated or left (restored tabs keep theirs)
+function recordFromTab(tab) {
+  return {
+    url: getTabUrl(tab),
+    title: tab.title || '',
+    index: tab.index
+  };
+}
+
+// Sync items with actual Chrome tabs
+async function syncWithTabs(state, { keepStale = false } = {}) {
+  const tabs = await queryNormalTabs();
+  const currentTabIds = new Set(tabs.map(t => t.id));
+
+  // Match restored tabs to their old entries before dropping stale ones
+  const knownTabIds = getAllTabIds(state.items);
+  const knownSet = new Set(knownTabIds);
+  const staleIds = knownTabIds.filter(id => !currentTabIds.has(id));
+  const unknownTabs = tabs.filter(t => !knownSet.has(t.id));
+  const idMap = matchRestoredTabs(state, staleIds, unknownTabs);
+  if (idMap.size > 0) {
+    remapTabIds(state, idMap);
+  }
+
+  // Remove closed tabs from items and groups
+  if (!keepStale) {
+    trashClosedGroups(state, id => !currentTabIds.has(id));
+    state.items = filterTabs(state.items, id => currentTabIds.has(id));
+  }
+
+  // Add missing tabs
+  const itemTabIds = new Set(getAllTabIds(state.items));
+  tabs.filter(t => !itemTabIds.has(t.id)).forEach(tab => {
+    if (state.settings.newTabPosition === 'top') {
+      state.items.unshift(tab.id);
+    } else {
+      state.items.push(tab.id);
+    }
+  });
+
+  // Refresh records of live tabs (tabs without a last use count as used now), drop names
+  // and records of tabs no longer in items
+  tabs.forEach(tab => {
+    const record = { ...state.tabRecords[tab.id], ...recordFromTab(tab) };
+    if (!getLastUsed(record)) record.lastActiveAt = Date.now();
+    state.tabRecords[tab.id] = record;
+  });
+  const keptIds = new Set(getAllTabIds(state.items).map(String));
+  Object.keys(state.tabRecords).forEach(id => {
+    if (!keptIds.has(id)) delete state.tabRecords[id];
+  });
+  Object.keys(state.customNames).forEach(id => {
+    if (!keptIds.has(id)) delete state.customNames[id];
+  });
+  Object.keys(state.protectedTabs).forEach(id => {
+    if (!keptIds.has(id)) delete state.protectedTabs[id];
+  });
+}
+
+function scheduleCleanup(delay = WINDOW_CLOSE_CLEANUP_DELAY) {
+  if (cleanupTimeout) clearTimeout(cleanupTimeout);
+  cleanupTimeout = setTimeout(() => {
+    cleanupTimeout = null;
+    withState(syncWithTabs);
+  }, delay);
+}
+
+// Tab Re-identification
+// Chrome assigns new tab IDs on every restart, so items and customNames would point at
+// tabs that no longer exist. tabRecords remembers URL/title per ID to find them again.
+
+// Pair stale tab IDs with restored tabs: same URL required, then same title,
+// then the closest original position in Chrome's tab strip
+function matchRestoredTabs(state, staleIds, tabs) {
+  const { tabRecords } = state;
+  const idMap = new Map();
+
+  const candidatesByUrl = new Map();
+  staleIds.forEach(id => {
+    const record = tabRecords[id];
+    if (!record?.url) return;
+    if (!candidatesByUrl.has(record.url)) candidatesByUrl.set(record.url, []);
+    candidatesByUrl.get(record.url).push(id);
+  });
+  if (candidatesByUrl.size === 0) return idMap;
+
+  tabs.forEach(tab => {
+    const candidates = candidatesByUrl.get(getTabUrl(tab));
+    if (!candidates || candidates.length === 0) return;
+
+    let matchIdx = candidates.findIndex(id => tabRecords[id].title === tab.title);
+    if (matchIdx === -1) {
+      matchIdx = 0;
+      candidates.forEach((id, i) => {
+        const distance = Math.abs((tabRecords[id].index ?? 0) - tab.index);
+        const best = Math.abs((tabRecords[candidates[matchIdx]].index ?? 0) - tab.index);
+        if (distance < best) matchIdx = i;
+      });
+    }
+
+    idMap.set(candidates[matchIdx], tab.id);
+    candidates.splice(matchIdx, 1);
+  });
+
+  return idMap;
+}
+
+// Replace old tab IDs with their restored IDs in items, customNames, protectedTabs and tabRecords
+function remapTabIds(state, idMap) {
+  const remap = id => idMap.has(id) ? idMap.get(id) : id;
+
+  state.items = mapTabIds(state.items, remap);
+
+  idMap.forEach((newId, oldId) => {
+    if (state.customNames[oldId]) {
+      state.customNames[newId] = state.customNames[oldId];
+      delete state.customNames[oldId];
+    }
+    if (state.protectedTabs[oldId]) {
+      state.protectedTabs[newId] = true;
+      delete state.protectedTabs[oldId];
+    }
+    if (state.tabRecords[oldId]) {
+      state.tabRecords[newId] = state.tabRecords[oldId];
+      delete state.tabRecords[oldId];
+    }
+  });
+}
+
 // Tab created - add to our order
 chrome.tabs.onCreated.addListener(async (tab) => {
   // Skip tabs from PWAs, apps, and popups
   const win = await chrome.windows.get(tab.windowId);
   if (win.type !== 'normal') return;
 
-  const { tabOrder = [] } = await chrome.storage.local.get('tabOrder');
-  const { settings = { newTabPosition: 'bottom' } } = await chrome.storage.local.get('settings');
+  const placed = await withState(state => placeNewTab(state, tab));
+  if (placed) await watchNewTab(tab);
+});
+
+// Returns true for tabs the user opened (not restored or created by the extension)
+async function placeNewTab(state, tab) {
+  const { items, settings } = state;
 
-  // Don't add duplicates
-  if (tabOrder.includes(tab.id)) return;
+  // Already placed (e.g. created by a session restore)
+  const knownTabIds = getAllTabIds(items);
+  if (knownTabIds.includes(tab.id)) return false;
 
-  const newOrder = settings.newTabPosition === 'top'
-    ? [tab.id, ...tabOrder]
-    : [...tabOrder, tab.id];
+  // Tab restored by Chrome under a new ID - put it back where it was
+  const liveTabIds = new Set((await queryNormalTabs()).map(t => t.id));
+  const staleIds = knownTabIds.filter(id => !liveTabIds.has(id));
+  const idMap = matchRestoredTabs(state, staleIds, [tab]);
+  if (idMap.size > 0) {
+    remapTabIds(state, idMap);
+    return false;
+  }
 
-  await chrome.storage.local.set({ tabOrder: newOrder });
+  state.tabRecords[tab.id] = { ...recordFromTab(tab), openedAt: Date.now() };
+
+  // A grouping rule for its URL wins over the opener's group
+  if (placeByRule(state, tab.id, getTabUrl(tab))) return true;
+
+  // Check if opener tab is in a group - add child tab to same group
+  if (tab.openerTabId) {
+    const openerGroupId = getTabGroupId(items, tab.openerTabId);
+    if (openerGroupId) {
+      const group = findGroup(items, openerGroupId);
+      if (settings.newTabPosition === 'top') {
+        group.tabs.unshift(tab.id);
+      } else {
+        group.tabs.push(tab.id);
+      }
+      queueAutosave(openerGroupId);
+      return true;
+    }
+  }
+
+  // Default: add to root level
+  if (settings.newTabPosition === 'top') {
+    items.unshift(tab.id);
+  } else {
+    items.push(tab.id);
+  }
+  return true;
+}
+
+// Tab removed - remove from our order (debounced to batch rapid closures)
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  newTabTimes.delete(tabId);
+
+  // Window closing (or browser quitting) - keep the entries re-identifiable for a while
+  if (removeInfo.isWindowClosing) {
+    scheduleCleanup();
+    return;
+  }
+
+  removeQueue.push(tabId);
+
+  if (removeTimeout) clearTimeout(removeTimeout);
+  removeTimeout = setTimeout(processRemoveQueue, 50);
 });
 
-// Tab removed - remove from our order
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  const { tabOrder = [] } = await chrome.storage.local.get('tabOrder');
-  const newOrder = tabOrder.filter(id => id !== tabId);
-  await chrome.storage.local.set({ tabOrder: newOrder });
+function processRemoveQueue() {
+  const tabIds = [...removeQueue];
+  removeQueue = [];
+  removeTimeout = null;
+
+  return withState(state => removeTabs(state, tabIds));
+}
+
+function removeTabs(state, tabIds) {
+  const removedSet = new Set(tabIds);
+
+  // Remember affected groups before removal for autosave
+  tabIds.forEach(id => {
+    const groupId = getTabGroupId(state.items, id);
+    if (groupId) queueAutosave(groupId);
+  });
+
+  // Single filter pass for all removed tabs
+  trashClosedGroups(state, id => removedSet.has(id));
+  state.items = filterTabs(state.items, id => !removedSet.has(id));
+
+  // Clean up custom names and records
+  tabIds.forEach(id => {
+    delete state.customNames[id];
+    delete state.protectedTabs[id];
+    delete state.tabRecords[id];
+  });
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Discarded tabs that never loaded have no real title - keep the recorded one
+  if ((changeInfo.title || changeInfo.url) && !tab.discarded) {
+    queueRecordUpdate(tab);
+  }
+
+  // Trigger autosave on URL change (navigation within tab), ungrouped tabs follow the rules
+  if (changeInfo.url) {
+    withState(state => {
+      const groupId = getTabGroupId(state.items, tabId);
+      if (groupId) {
+        queueAutosave(groupId);
+      } else if (state.items.includes(tabId)) {
+        placeByRule(state, tabId, getTabUrl(tab));
+      }
+    });
+  }
+
+  if ('groupId' in changeInfo) {
+    handleNativeGroupChange(tab);
+  }
+
+  if (changeInfo.url && newTabTimes.has(tabId)) {
+    checkNewTabUrl(tab);
+  }
 });
 
-// NOTE: We intentionally DO NOT listen to chrome.tabs.onMoved
-// This is the key feature - our order is independent from Chrome's tab bar order!
+function queueRecordUpdate(tab) {
+  queueRecordChange(tab.id, recordFromTab(tab));
+}
 
-// Handle keyboard shortcuts (works regardless of focus)
-chrome.commands.onCommand.addListener(async (command) => {
-  if (command === 'navigate-up' || command === 'navigate-down') {
-    // Send message to side panel to handle navigation
+// Merge changes into the tab's pending tabRecords update
+function queueRecordChange(tabId, changes) {
+  recordsQueue.set(tabId, { ...recordsQueue.get(tabId), ...changes });
+
+  if (recordsTimeout) clearTimeout(recordsTimeout);
+  recordsTimeout = setTimeout(processRecordsQueue, 1000);
+}
+
+function processRecordsQueue() {
+  const records = new Map(recordsQueue);
+  recordsQueue.clear();
+  recordsTimeout = null;
+
+  return withState(state => {
+    const knownTabIds = new Set(getAllTabIds(state.items));
+    records.forEach((record, tabId) => {
+      if (knownTabIds.has(tabId)) state.tabRecords[tabId] = { ...state.tabRecords[tabId], ...record };
+    });
+  });
+}
+
+// Sorting
+// One-shot sorts of a group's (or the root list's) tabs - sub-groups keep their places and
+// the tabs are sorted around them. Groups with keepSorted are sorted again when tabs are
+// added to them; reordering by hand still works until then.
+
+async function getSortCompare(state, by) {
+  const tabsById = new Map((await queryNormalTabs()).map(tab => [tab.id, tab]));
+  const info = id => {
+    const tab = tabsById.get(id);
+    const record = state.tabRecords[id] || {};
+    return {
+      url: (tab && getTabUrl(tab)) || record.url || '',
+      title: tab?.title || record.title || '',
+      customName: state.customNames[id] || '',
+      lastAccessed: tab?.lastAccessed || 0,
+      openedAt: record.openedAt || 0
+    };
+  };
+  const text = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  const domain = url => {
     try {
-      await chrome.runtime.sendMessage({
-        type: 'navigate',
-        direction: command === 'navigate-up' ? 'up' : 'down'
-      });
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return url;
+    }
+  };
+
+  const compares = {
+    domain: (a, b) => text(domain(a.url), domain(b.url)) || text(a.title, b.title),
+    title: (a, b) => text(a.title, b.title),
+    // Named tabs first
+    customName: (a, b) => (!a.customName - !b.customName) || text(a.customName || a.title, b.customName || b.title),
+    // Most recent first
+    lastAccessed: (a, b) => b.lastAccessed - a.lastAccessed,
+    // Oldest first (tabs from before the extension tracked it first, by ID)
+    openedAt: (a, b) => a.openedAt - b.openedAt
+  };
+  const compare = compares[by];
+  if (!compare) throw new Error(`Unknown sort order: ${by}`);
+  return (a, b) => compare(info(a), info(b)) || a - b;
+}
+
+// The list with its tabs sorted, groups staying in their slots
+function sortTabList(list, compare) {
+  const tabIds = list.filter(entry => !entry.group).sort(compare);
+  let next = 0;
+  return list.map(entry => entry.group ? entry : tabIds[next++]);
+}
+
+// Tabs directly in each keepSorted group: Map group ID → Set of tab IDs
+function getKeptSortedTabs(items) {
+  return new Map(getAllGroups(items).filter(group => group.keepSorted)
+    .map(group => [group.group, new Set(group.tabs.filter(entry => !entry.group))]));
+}
+
+async function resortGrownGroups(state, tabsBefore) {
+  const grown = getAllGroups(state.items).filter(group => group.keepSorted &&
+    group.tabs.some(entry => !entry.group && !tabsBefore.get(group.group)?.has(entry)));
+
+  for (const group of grown) {
+    group.tabs = sortTabList(group.tabs, await getSortCompare(state, group.keepSorted));
+  }
+}
+
+// Grouping Rules
+// New tabs and ungrouped tabs navigating somewhere go to the group of the first matching
+// rule (see Grouping Rules in shared.js). Tabs already in a group stay where you put them.
+
+// Put the tab (placed or not) into its rule's group, creating the group at the root if the
+// rule allows. Returns the group's ID, or null if no rule applies.
+function placeByRule(state, tabId, url) {
+  const rule = findGroupingRule(state.settings.groupingRules, url);
+  if (!rule) return null;
+
+  let group = findRuleGroup(state.items, rule);
+  if (!group && !rule.createGroup) return null;
+  if (!group) {
+    group = { group: generateGroupId(), name: rule.groupName.trim(), color: getNextGroupColor(state.items), tabs: [] };
+    if (state.settings.newTabPosition === 'top') {
+      state.items.unshift(group);
+    } else {
+      state.items.push(group);
+    }
+  }
+
+  state.items = detachTabs(state.items, new Set([tabId]));
+  if (state.settings.newTabPosition === 'top') {
+    group.tabs.unshift(tabId);
+  } else {
+    group.tabs.push(tabId);
+  }
+  queueAutosave(group.group);
+  return group.group;
+}
+
+// Duplicates
+// settings.duplicateOnOpen: when a tab the user just opened loads a URL that is already open,
+// 'prompt' offers to switch to the open copy (in the side panel), 'switch' does it right away
+// (only for tabs opened in the foreground). 'off' (default) leaves it alone.
+
+// A new tab is watched until its first real URL, for at most this long
+const NEW_TAB_WATCH_TIME = 30000;
+
+let newTabTimes = new Map();  // Tab ID → creation time
+
+async function watchNewTab(tab) {
+  const { settings = {} } = await chrome.storage.local.get('settings');
+  if (!settings.duplicateOnOpen || settings.duplicateOnOpen === 'off') return;
+
+  newTabTimes.set(tab.id, Date.now());
+  if (tab.pendingUrl || tab.url) await checkNewTabUrl(tab);
+}
+
+async function checkNewTabUrl(tab) {
+  const createdAt = newTabTimes.get(tab.id);
+  if (createdAt === undefined) return;
+  if (Date.now() - createdAt > NEW_TAB_WATCH_TIME) {
+    newTabTimes.delete(tab.id);
+    return;
+  }
+
+  const { settings = {} } = await chrome.storage.local.get('settings');
+  const key = getDuplicateKey(getTabUrl(tab), settings);
+  if (!key) return;  // Still a new tab page
+  newTabTimes.delete(tab.id);
+
+  const openTabs = await queryNormalTabs();
+  const existing = openTabs.find(t => t.id !== tab.id && getDuplicateKey(getTabUrl(t), settings) === key);
+  if (!existing) return;
+
+  if (settings.duplicateOnOpen === 'switch') {
+    if (!tab.active) return;
+    await chrome.tabs.update(existing.id, { active: true });
+    if (existing.windowId !== tab.windowId) await chrome.windows.update(existing.windowId, { focused: true });
+    await chrome.tabs.remove(tab.id);
+  } else if (settings.duplicateOnOpen === 'prompt') {
+    try {
+      await chrome.runtime.sendMessage({ type: 'duplicate-opened', tabId: tab.id, windowId: tab.windowId, existingTabId: existing.id });
     } catch (e) {
-      // Side panel might not be open - that's okay
+      // Side panel not open - that's okay
+    }
+  }
+}
+
+// Chrome swapped a tab for another one (e.g. when discarding in older versions) - keep its place
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  withState(state => remapTabIds(state, new Map([[removedTabId, addedTabId]])));
+});
+
+// NOTE: We intentionally DO NOT follow chrome.tabs.onMoved in items
+// This is the key feature - our order is independent from Chrome's tab bar order!
+// Only the positions in tabRecords are kept current - re-identification uses them.
+chrome.tabs.onMoved.addListener((tabId, { windowId }) => recordTabIndexes(windowId));
+chrome.tabs.onAttached.addListener((tabId, { newWindowId }) => recordTabIndexes(newWindowId));
+chrome.tabs.onDetached.addListener((tabId, { oldWindowId }) => recordTabIndexes(oldWindowId));
+
+// Moving a tab shifts the tabs between its old and new position too
+async function recordTabIndexes(windowId) {
+  const tabs = await chrome.tabs.query({ windowId }).catch(() => []);
+  tabs.forEach(tab => queueRecordChange(tab.id, { index: tab.index }));
+}
+
+// Native Tab Groups
+// Optional mirror of panel groups to Chrome's own tab groups (settings.syncNativeGroups).
+// Native groups can't be nested, so each top-level group gets one native group per window
+// holding all its tabs, sub-groups included. Membership, names and colors sync both ways;
+// Chrome's tab order is still ignored. Native groups made or imported here are remembered
+// in session storage - any other native group was created in Chrome and gets imported.
+// Events caused by the sync itself match the panel state already, so they change nothing.
+
+// Approximations of Chrome's tab group colors
+const NATIVE_GROUP_COLORS = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#1e8e3e',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
+
+let nativeSyncTimeout = null;
+
+function colorDistance(a, b) {
+  const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [r1, g1, b1] = rgb(a);
+  const [r2, g2, b2] = rgb(b);
+  return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+}
+
+// Closest native color name for a panel color
+function toNativeColor(hex) {
+  return Object.keys(NATIVE_GROUP_COLORS).reduce((best, name) =>
+    colorDistance(hex, NATIVE_GROUP_COLORS[name]) < colorDistance(hex, NATIVE_GROUP_COLORS[best]) ? name : best);
+}
+
+// Closest panel color for a native color name
+function fromNativeColor(name) {
+  const hex = NATIVE_GROUP_COLORS[name] || NATIVE_GROUP_COLORS.grey;
+  return GROUP_COLORS.reduce((best, color) =>
+    colorDistance(hex, color) < colorDistance(hex, best) ? color : best);
+}
+
+// Map of tab ID → the top-level group holding it (at any depth)
+function getTopLevelGroups(items) {
+  const groupOf = new Map();
+  items.forEach(item => {
+    if (item.group) getAllTabIds(item.tabs).forEach(id => groupOf.set(id, item));
+  });
+  return groupOf;
+}
+
+// The top-level group most of the tabs are in (null if most are ungrouped)
+function getMajorityGroup(tabIds, groupOf) {
+  const counts = new Map();
+  tabIds.forEach(id => {
+    const group = groupOf.get(id) || null;
+    counts.set(group, (counts.get(group) || 0) + 1);
+  });
+
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, group) => {
+    if (count > bestCount) {
+      best = group;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Every items change (commands, tab events, imports) ends up here, debounced
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.items || changes.settings)) queueNativeSync();
+});
+
+function queueNativeSync() {
+  if (nativeSyncTimeout) clearTimeout(nativeSyncTimeout);
+  nativeSyncTimeout = setTimeout(() => {
+    nativeSyncTimeout = null;
+    withState(syncNativeGroups);
+  }, 300);
+}
+
+async function syncNativeGroups(state) {
+  if (!state.settings.syncNativeGroups) return;
+
+  const { nativeGroupIds = [] } = await chrome.storage.session.get('nativeGroupIds');
+  const knownIds = new Set(nativeGroupIds);
+  const tabs = await queryNormalTabs();
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+  const nativeGroups = await chrome.tabGroups.query({});
+  const nativeById = new Map(nativeGroups.map(native => [native.id, native]));
+
+  const tabIdsByNative = new Map(nativeGroups.map(native => [native.id, []]));
+  tabs.forEach(tab => tabIdsByNative.get(tab.groupId)?.push(tab.id));
+
+  // Import native groups created in Chrome (or before the mode was enabled) whose
+  // tabs aren't grouped in the panel yet. Not while a cleanup is pending - restored
+  // tabs may still be re-identified into their panel groups.
+  let groupOf = getTopLevelGroups(state.items);
+  nativeGroups.forEach(native => {
+    const tabIds = tabIdsByNative.get(native.id);
+    if (cleanupTimeout || knownIds.has(native.id) || getMajorityGroup(tabIds, groupOf)) return;
+
+    const groupId = commandHandlers['create-group'](state, {
+      tabIds: tabIds.filter(id => state.items.includes(id)),
+      name: native.title || undefined
+    });
+    if (groupId) findGroup(state.items, groupId).color = fromNativeColor(native.color);
+  });
+  groupOf = getTopLevelGroups(state.items);
+
+  // Top-level group each native group belongs to, judged by its tabs
+  const ownerOf = new Map(nativeGroups.map(native =>
+    [native.id, getMajorityGroup(tabIdsByNative.get(native.id), groupOf)]));
+
+  // Mirror top-level groups, one native group per window
+  const mirroredIds = new Set();
+  const wantedNativeIds = new Map();  // tab ID → native group ID
+  for (const group of state.items.filter(item => item.group)) {
+    const tabIdsByWindow = new Map();
+    getAllTabIds(group.tabs).forEach(id => {
+      const tab = tabsById.get(id);
+      if (!tab || tab.pinned) return;  // Pinned tabs can't be grouped
+      if (!tabIdsByWindow.has(tab.windowId)) tabIdsByWindow.set(tab.windowId, []);
+      tabIdsByWindow.get(tab.windowId).push(id);
+    });
+
+    for (const [windowId, tabIds] of tabIdsByWindow) {
+      // Reuse the largest native group of this group in the window
+      let nativeId = nativeGroups
+        .filter(native => ownerOf.get(native.id) === group && native.windowId === windowId && !mirroredIds.has(native.id))
+        .sort((a, b) => tabIdsByNative.get(b.id).length - tabIdsByNative.get(a.id).length)[0]?.id;
+
+      const missing = tabIds.filter(id => nativeId === undefined || tabsById.get(id).groupId !== nativeId);
+      if (missing.length > 0) {
+        nativeId = await chrome.tabs.group(nativeId === undefined
+          ? { tabIds: missing, createProperties: { windowId } }
+          : { tabIds: missing, groupId: nativeId });
+      }
+
+      mirroredIds.add(nativeId);
+      tabIds.forEach(id => wantedNativeIds.set(id, nativeId));
+
+      const native = nativeById.get(nativeId);
+      const color = toNativeColor(group.color);
+      if (!native || native.title !== group.name || native.color !== color) {
+        await chrome.tabGroups.update(nativeId, { title: group.name, color });
+      }
+    }
+  }
+
+  // Ungroup tabs that aren't in a panel group (any more)
+  const strayIds = tabs
+    .filter(tab => tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !wantedNativeIds.has(tab.id))
+    .map(tab => tab.id);
+  if (strayIds.length > 0) await chrome.tabs.ungroup(strayIds);
+
+  await chrome.storage.session.set({ nativeGroupIds: [...mirroredIds] });
+}
+
+// Renamed or recolored in Chrome's tab strip
+chrome.tabGroups.onUpdated.addListener((event) => {
+  withState(async state => {
+    if (!state.settings.syncNativeGroups) return;
+
+    // Events are snapshots - a group created by the sync may not have its title and
+    // color yet when the event fires, so look at its current state
+    const native = await chrome.tabGroups.get(event.id).catch(() => null);
+    if (!native) return;
+
+    const tabs = await chrome.tabs.query({ groupId: native.id });
+    const group = getMajorityGroup(tabs.map(t => t.id), getTopLevelGroups(state.items));
+    if (!group) return;
+
+    if (native.title && native.title !== group.name) group.name = native.title;
+    if (native.color !== toNativeColor(group.color)) group.color = fromNativeColor(native.color);
+    queueAutosave(group.group);
+  });
+});
+
+// Tab dragged into or out of a native group in Chrome's tab strip - move it into that
+// group's panel group, or out of its panel group (right after it)
+async function handleNativeGroupChange(tab) {
+  await withState(async state => {
+    if (!state.settings.syncNativeGroups) return;
+    if (!getAllTabIds(state.items).includes(tab.id)) return;
+
+    const groupOf = getTopLevelGroups(state.items);
+    const current = groupOf.get(tab.id) || null;
+    let target = null;
+
+    if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+      const others = (await chrome.tabs.query({ groupId: tab.groupId })).filter(t => t.id !== tab.id);
+      target = getMajorityGroup(others.map(t => t.id), groupOf);
+      if (!target) return;  // New native group - imported by the sync below
+    } else if (current) {
+      // Chrome also drops the native group when a tab moves to another window - only
+      // treat it as leaving when the group still has a native group in this window
+      const windowTabs = await chrome.tabs.query({ windowId: tab.windowId });
+      const stillGrouped = windowTabs.some(t =>
+        t.id !== tab.id && groupOf.get(t.id) === current && t.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE);
+      if (!stillGrouped) return;
     }
+    if (target === current) return;
+
+    const sourceGroupId = getTabGroupId(state.items, tab.id);
+    if (sourceGroupId) queueAutosave(sourceGroupId);
+    state.items = detachTabs(state.items, new Set([tab.id]));
+
+    if (target) {
+      target.tabs.push(tab.id);
+      queueAutosave(target.group);
+    } else {
+      const location = findLocation(state.items, current.group);
+      location.list.splice(location.index + 1, 0, tab.id);
+    }
+    state.items = filterTabs(state.items, () => true);
+  });
+
+  queueNativeSync();
+}
+
+// Autosave
+
+// Queue a group for autosave (debounced) - autoSave is checked when the queue runs.
+// Sessions of enclosing groups include sub-groups, so they are updated too.
+function queueAutosave(groupId) {
+  autosaveQueue.add(groupId);
+
+  if (autosaveTimeout) clearTimeout(autosaveTimeout);
+  autosaveTimeout = setTimeout(processAutosaveQueue, 500);
+}
+
+function processAutosaveQueue() {
+  const groupIds = [...autosaveQueue];
+  autosaveQueue.clear();
+  autosaveTimeout = null;
+
+  return withState(async state => {
+    const tabsById = await getTabsById();
+
+    const groups = new Set(groupIds.flatMap(groupId => getGroupPath(state.items, groupId)));
+    for (const group of groups) {
+      if (!group.autoSave || !group.linkedSessionId || group.archived) continue;
+
+      // Update the saved session
+      const sessionId = group.linkedSessionId;
+      const existingSession = state.savedSessions[sessionId];
+      if (!existingSession) continue;
+
+      const tabs = buildSessionTabs(state, group.tabs, tabsById);
+      recordSessionVersion(existingSession, tabs);
+      state.savedSessions[sessionId] = {
+        ...existingSession,
+        name: group.name,
+        color: group.color,
+        autoSave: group.autoSave || false,  // Keep autoSave state in sync
+        protected: group.protected || undefined,
+        updatedAt: Date.now(),
+        tabs
+      };
+    }
+  });
+}
+
+// Session Versions
+// Sessions keep their earlier tabs (with name and color) in session.versions, newest
+// first and each with its own id, so an unlucky autosave can be rolled back. Autosaves
+// in quick succession share one version - the content from before the first of them.
+
+const SESSION_VERSION_LIMIT = 20;
+const SESSION_VERSION_INTERVAL = 5 * 60 * 1000;
+
+// Keep the session's current content as a version before its tabs become newTabs.
+// force records it even if the last version is recent (explicit saves and rollbacks).
+function recordSessionVersion(session, newTabs, force = false) {
+  if (JSON.stringify(session.tabs) === JSON.stringify(newTabs)) return;
+
+  const versions = session.versions || [];
+  if (!force && versions[0] && Date.now() - versions[0].replacedAt < SESSION_VERSION_INTERVAL) return;
+
+  session.versions = [{
+    id: crypto.randomUUID(),
+    savedAt: session.updatedAt,
+    replacedAt: Date.now(),
+    name: session.name,
+    color: session.color,
+    tabs: session.tabs
+  }, ...versions].slice(0, SESSION_VERSION_LIMIT);
+}
+
+async function getTabsById() {
+  const tabs = await queryNormalTabs();
+  return new Map(tabs.map(tab => [tab.id, tab]));
+}
+
+// Capture current tab data for a session (only tabs with valid URLs). Sub-groups become
+// { name, color, tabs } entries (with collapsed and protected if set); sub-groups without
+// valid tabs are left out. Archived sub-groups contribute the tabs of their session.
+function buildSessionTabs(state, entries, tabsById) {
+  return entries.map(entry => {
+    if (entry.archived) {
+      return {
+        name: entry.name,
+        color: entry.color,
+        protected: entry.protected || undefined,
+        tabs: state.savedSessions[entry.linkedSessionId]?.tabs || []
+      };
+    }
+    if (entry.group) {
+      return {
+        name: entry.name,
+        color: entry.color,
+        collapsed: entry.collapsed || undefined,
+        protected: entry.protected || undefined,
+        tabs: buildSessionTabs(state, entry.tabs, tabsById)
+      };
+    }
+    const tab = tabsById.get(entry);
+    return {
+      url: tab ? getTabUrl(tab) : '',
+      title: tab?.title || 'Unknown',
+      customName: state.customNames[entry] || null,
+      protected: state.protectedTabs[entry] || undefined
+    };
+  }).filter(t => isSessionGroup(t) ? t.tabs.length > 0 : t.url);
+}
+
+// Trash
+// Deleted sessions and closed groups go to state.trash (newest first) and stay there for
+// settings.trashRetentionDays. Group entries keep their tabs in session form along with
+// where the group was, so restoring puts it back in place.
+// Entry: { id, deletedAt, type: 'session', session }
+//     or { id, deletedAt, type: 'group', group: { group, name, color, tabs, ... }, parentId, index }
+
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_LIMIT = 100;
+
+function addToTrash(state, entry) {
+  state.trash = [{ id: crypto.randomUUID(), deletedAt: Date.now(), ...entry }, ...state.trash];
+  pruneTrash(state);
+}
+
+function pruneTrash(state) {
+  const days = state.settings.trashRetentionDays || TRASH_RETENTION_DAYS;
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  state.trash = state.trash.filter(entry => entry.deletedAt >= cutoff).slice(0, TRASH_LIMIT);
+}
+
+// A shorter retention applies right away
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.settings) return;
+  if (changes.settings.newValue?.trashRetentionDays !== changes.settings.oldValue?.trashRetentionDays) {
+    withState(pruneTrash);
+  }
+});
+
+// Outermost groups that lose all their tabs when tabs passing isClosed(tabId) go.
+// Groups holding an archived placeholder stay, like the placeholder itself.
+function findClosedGroups(items, isClosed, parent = null) {
+  return items.flatMap((item, index) => {
+    if (!item.group || item.archived) return [];
+
+    const tabIds = getAllTabIds(item.tabs);
+    const keepsPlaceholder = getAllGroups(item.tabs).some(g => g.archived);
+    if (tabIds.length > 0 && tabIds.every(isClosed) && !keepsPlaceholder) {
+      return [{ group: item, parent, index }];
+    }
+    return findClosedGroups(item.tabs, isClosed, item);
+  });
+}
+
+// Keep groups closed with their tabs - call before the tabs are removed from items, while
+// their records are still there
+function trashClosedGroups(state, isClosed) {
+  const closed = findClosedGroups(state.items, isClosed);
+  if (closed.length === 0) return;
+
+  const recordsById = new Map(Object.entries(state.tabRecords).map(([id, record]) => [Number(id), record]));
+  closed.forEach(({ group, parent, index }) => {
+    const tabs = buildSessionTabs(state, group.tabs, recordsById);
+    if (tabs.length === 0) return;
+
+    addToTrash(state, {
+      type: 'group',
+      group: {
+        group: group.group,
+        name: group.name,
+        color: group.color,
+        autoSave: group.autoSave,
+        linkedSessionId: group.linkedSessionId,
+        protected: group.protected,
+        tabs
+      },
+      parentId: parent ? parent.group : null,
+      index
+    });
+  });
+}
+
+// Reopen a closed group ({ group, parentId, index } of a trash or snooze entry) where it
+// was. Returns the new tab IDs (none if no tab could be opened).
+async function reopenClosedGroup(state, { group: closed, parentId, index }) {
+  const createdIds = await createSessionTabs(state, getSessionTabEntries(closed.tabs));
+  if (createdIds.size === 0) return [];
+
+  const group = {
+    group: findGroup(state.items, closed.group) ? generateGroupId() : closed.group,
+    name: closed.name,
+    color: closed.color,
+    tabs: buildGroupTabs(closed.tabs, createdIds)
+  };
+  if (closed.protected) group.protected = true;
+  const sessionId = closed.linkedSessionId;
+  if (state.savedSessions[sessionId] && !getAllGroups(state.items).some(g => g.linkedSessionId === sessionId)) {
+    group.linkedSessionId = sessionId;
+    group.autoSave = closed.autoSave || false;
+  }
+
+  insertAtOldPlace(state, group, parentId, index);
+  return getAllTabIds(group.tabs);
+}
+
+// Back into its parent group, or at the root if that's gone
+function insertAtOldPlace(state, entry, parentId, index) {
+  const parent = parentId ? findGroup(state.items, parentId) : null;
+  const list = parent && !parent.archived ? parent.tabs : state.items;
+  const position = parent || !parentId ? index : list.length;
+  list.splice(Math.min(position, list.length), 0, entry);
+  if (list !== state.items) queueAutosave(parent.group);
+}
+
+// Snooze
+// Snoozed tabs and groups are closed and kept in state.snoozed until wakeAt, when they
+// reopen where they were. One alarm is set for the earliest entry - alarms survive
+// restarts, and the list is checked again on startup and whenever it changes (e.g. when
+// a backup is imported).
+// Entry: { id, snoozedAt, wakeAt, type: 'tab', tab: { url, title, customName, protected }, parentId, index }
+//     or { id, snoozedAt, wakeAt, type: 'group', group: { group, name, color, tabs, ... }, parentId, index }
+
+const SNOOZE_ALARM = 'snooze';
+
+async function scheduleSnoozeAlarm() {
+  const { snoozed = [] } = await chrome.storage.local.get('snoozed');
+  if (snoozed.length === 0) {
+    await chrome.alarms.clear(SNOOZE_ALARM);
+    return;
+  }
+  const when = Math.min(...snoozed.map(entry => entry.wakeAt));
+  if (when <= Date.now()) {
+    await withState(wakeSnoozed);
+  } else {
+    await chrome.alarms.create(SNOOZE_ALARM, { when });
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SNOOZE_ALARM) await withState(wakeSnoozed);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.snoozed) {
+    scheduleSnoozeAlarm().catch(err => console.error('Independent Tabs: scheduling snoozed tabs failed', err));
+  }
+});
+
+// Reopen the entries that are due (earlier positions in a list first, so indexes fit)
+async function wakeSnoozed(state) {
+  const now = Date.now();
+  const due = state.snoozed.filter(entry => entry.wakeAt <= now).sort((a, b) => a.index - b.index);
+  if (due.length === 0) return;
+  state.snoozed = state.snoozed.filter(entry => entry.wakeAt > now);
+
+  const tabIds = [];
+  for (const entry of due) {
+    tabIds.push(...await reopenSnoozed(state, entry));
+  }
+
+  // Remind in an open side panel - the tabs reopen in the background
+  if (tabIds.length > 0) {
+    chrome.runtime.sendMessage({ type: 'snooze-woke', tabIds }).catch(() => {});
+  }
+}
+
+async function reopenSnoozed(state, entry) {
+  if (entry.type === 'group') return reopenClosedGroup(state, entry);
+
+  const createdIds = await createSessionTabs(state, [entry.tab]);
+  const tabId = createdIds.get(entry.tab);
+  if (tabId === undefined) return [];
+  insertAtOldPlace(state, tabId, entry.parentId, entry.index);
+  return [tabId];
+}
+
+// Take tabs out of items and close them, without trashing emptied groups (snoozed and
+// archived tabs are kept elsewhere)
+async function closeWithoutTrash(state, tabIds) {
+  const closedSet = new Set(tabIds);
+  tabIds.forEach(id => {
+    const groupId = getTabGroupId(state.items, id);
+    if (groupId) queueAutosave(groupId);
+  });
+  state.items = filterTabs(state.items, id => !closedSet.has(id));
+  tabIds.forEach(id => {
+    delete state.customNames[id];
+    delete state.protectedTabs[id];
+    delete state.tabRecords[id];
+  });
+  await chrome.tabs.remove(tabIds).catch(() => {});
+}
+
+// Stale Tabs
+// Unused tabs (see Stale Tabs in shared.js) are checked every STALE_CHECK_MINUTES. Closed
+// ones go to the "Recently archived" session, newest first.
+
+const STALE_ALARM = 'stale-tabs';
+const STALE_CHECK_MINUTES = 15;
+const RECENTLY_ARCHIVED_ID = 'recently-archived';
+const RECENTLY_ARCHIVED_LIMIT = 200;
+
+// The active tab per window is kept in session storage (the worker forgets everything when
+// it's suspended) - the tab left behind was in use until now too. Every change is made
+// right after the same load resolves, so changes apply and are written in event order.
+function getActiveTabs() {
+  if (!activeTabsLoad) {
+    activeTabsLoad = chrome.storage.session.get('activeTabs').then(({ activeTabs = {} }) => activeTabs);
+  }
+  return activeTabsLoad;
+}
+
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  const activeTabs = await getActiveTabs();
+  const leftTabId = activeTabs[windowId];
+  activeTabs[windowId] = tabId;
+  await chrome.storage.session.set({ activeTabs });
+
+  const now = Date.now();
+  queueRecordChange(tabId, { lastActiveAt: now });
+  if (leftTabId !== undefined) queueRecordChange(leftTabId, { lastActiveAt: now });
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  const activeTabs = await getActiveTabs();
+  delete activeTabs[windowId];
+  await chrome.storage.session.set({ activeTabs });
+});
+
+// Start checking, and note the tabs active now (session storage is empty after a restart)
+async function scheduleStaleCheck() {
+  const tabs = await chrome.tabs.query({ active: true });
+  const activeTabs = await getActiveTabs();
+  Object.keys(activeTabs).forEach(windowId => delete activeTabs[windowId]);
+  tabs.forEach(tab => {
+    activeTabs[tab.windowId] = tab.id;
+  });
+  await chrome.storage.session.set({ activeTabs });
+  await chrome.alarms.create(STALE_ALARM, { periodInMinutes: STALE_CHECK_MINUTES });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === STALE_ALARM) await withState(handleStaleTabs);
+});
+
+async function handleStaleTabs(state) {
+  const now = Date.now();
+  const tabs = await queryNormalTabs();
+  const itemTabIds = new Set(getAllTabIds(state.items));
+  const discardIds = [];
+  const closeIds = [];
+
+  tabs.forEach(tab => {
+    if (!itemTabIds.has(tab.id) || isStaleExempt(tab) || isTabProtected(state.items, state.protectedTabs, tab.id)) return;
+    const lastUsed = getLastUsed(state.tabRecords[tab.id]);
+    if (!lastUsed) return;
+
+    const unusedHours = (now - lastUsed) / (60 * 60 * 1000);
+    const { discardHours, closeDays } = getStalePolicy(state.items, tab.id, state.settings);
+    if (closeDays && unusedHours >= closeDays * 24) {
+      closeIds.push(tab.id);
+    } else if (discardHours && unusedHours >= discardHours && !tab.discarded) {
+      discardIds.push(tab.id);
+    }
+  });
+
+  // Discarding fails for some pages (e.g. chrome:// pages) - they stay loaded then
+  await Promise.all(discardIds.map(id => chrome.tabs.discard(id).catch(() => null)));
+
+  if (closeIds.length > 0) {
+    addToRecentlyArchived(state, closeIds, new Map(tabs.map(tab => [tab.id, tab])));
+    await closeWithoutTrash(state, closeIds);
+  }
+}
+
+function addToRecentlyArchived(state, tabIds, tabsById) {
+  const tabs = buildSessionTabs(state, tabIds, tabsById);
+  if (tabs.length === 0) return;
+
+  const session = state.savedSessions[RECENTLY_ARCHIVED_ID];
+  state.savedSessions[RECENTLY_ARCHIVED_ID] = {
+    id: RECENTLY_ARCHIVED_ID,
+    name: session?.name || 'Recently archived',
+    color: session?.color || '#9e9e9e',
+    autoSave: false,
+    createdAt: session?.createdAt || Date.now(),
+    updatedAt: Date.now(),
+    tabs: [...tabs, ...(session?.tabs || [])].slice(0, RECENTLY_ARCHIVED_LIMIT)
+  };
+}
+
+// Commands
+// The side panel sends { type: 'command', command, ...args } and gets { result } or { error }
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== 'command') return false;
+
+  const handler = commandHandlers[message.command];
+  if (!handler) {
+    sendResponse({ error: `Unknown command: ${message.command}` });
+    return false;
+  }
+
+  withState(async state => {
+    // Undoable commands record the state before them; the panel offers to undo via `undo`
+    const label = getUndoLabel(message);
+    const before = label ? captureSnapshot(state) : null;
+    const records = { ...state.tabRecords };  // Closed tabs lose their records
+    const trash = state.trash;
+
+    const result = await handler(state, message);
+    const recorded = before ? await recordHistory(state, before, records, trash, label) : false;
+    return { result, undo: recorded ? label : undefined };
+  })
+    .then(response => sendResponse(response))
+    .catch(err => sendResponse({ error: err.message }));
+  return true;  // Respond asynchronously
+});
+
+// Protection (see shared.js) - commands closing tabs leave protected ones alone unless forced
+
+function withoutProtectedTabs(state, tabIds) {
+  const protectedIds = new Set(getProtectedTabIds(state.items, state.protectedTabs, tabIds));
+  return tabIds.filter(id => !protectedIds.has(id));
+}
+
+function hasProtectedTabs(state, group) {
+  return getProtectedTabIds(state.items, state.protectedTabs, getAllTabIds(group.tabs)).length > 0;
+}
+
+// Remove tabs from the tree without dropping groups left empty - callers re-insert the
+// tabs (possibly into one of those groups) and prune with filterTabs afterwards
+function detachTabs(items, tabIdSet) {
+  return items.filter(entry => !tabIdSet.has(entry)).map(entry => {
+    if (entry.group) entry.tabs = detachTabs(entry.tabs, tabIdSet);
+    return entry;
+  });
+}
+
+const commandHandlers = {
+  // While a cleanup is pending (Chrome restoring tabs after a restart, or a window just
+  // closed) unmatched entries are kept - the cleanup drops them
+  'sync-tabs': (state) => syncWithTabs(state, { keepStale: !!cleanupTimeout }),
+
+  // Move a group to index within another group, or the root when toGroupId is null.
+  // The index counts entries without the moved group.
+  'move-group': (state, { groupId, toGroupId = null, index }) => {
+    const location = findLocation(state.items, groupId);
+    if (!location) return;
+    const group = location.list[location.index];
+
+    // A group can't be moved into itself or one of its sub-groups
+    const target = toGroupId ? findGroup(state.items, toGroupId) : null;
+    if (toGroupId && (!target || getGroupPath(state.items, toGroupId).includes(group))) return;
+
+    const sourceParent = location.parent;
+    location.list.splice(location.index, 1);
+    (target ? target.tabs : state.items).splice(index, 0, group);
+    state.items = filterTabs(state.items, () => true);  // Drop groups left empty
+
+    if (sourceParent) queueAutosave(sourceParent.group);
+    if (target) queueAutosave(target.group);
+  },
+
+  // Move tabs (in the given order) to index within a group, or the root when toGroupId is null.
+  // The index counts entries without the moved tabs; emptied groups are removed afterwards.
+  'move-tabs': (state, { tabIds, toGroupId, index }) => {
+    const movedSet = new Set(tabIds);
+
+    // Track source groups before removal
+    const sourceGroupIds = new Set();
+    tabIds.forEach(id => {
+      const groupId = getTabGroupId(state.items, id);
+      if (groupId) sourceGroupIds.add(groupId);
+    });
+
+    state.items = detachTabs(state.items, movedSet);
+
+    const target = toGroupId ? findGroup(state.items, toGroupId) : null;
+    if (target) {
+      target.tabs.splice(index, 0, ...tabIds);
+    } else if (toGroupId) {
+      // Target group is gone - keep the tabs at the end of the list
+      state.items.push(...tabIds);
+    } else {
+      state.items.splice(index, 0, ...tabIds);
+    }
+
+    // Remove empty groups
+    state.items = filterTabs(state.items, () => true);
+
+    // Trigger autosave for all affected groups
+    sourceGroupIds.forEach(groupId => queueAutosave(groupId));
+    if (toGroupId) queueAutosave(toGroupId);
+  },
+
+  // Group tabs at the position of the first one. Tabs inside a group become a sub-group there.
+  'create-group': (state, { tabIds, name = 'New Group' }) => {
+    const allTabIds = getAllTabIds(state.items);
+    const orderedTabIds = tabIds
+      .filter(id => allTabIds.includes(id))
+      .sort((a, b) => allTabIds.indexOf(a) - allTabIds.indexOf(b));
+    if (orderedTabIds.length === 0) return null;
+
+    const group = {
+      group: generateGroupId(),
+      name: name,
+      color: getNextGroupColor(state.items),
+      tabs: []
+    };
+
+    // Track source groups before removal
+    orderedTabIds.forEach(tabId => {
+      const sourceGroupId = getTabGroupId(state.items, tabId);
+      if (sourceGroupId) queueAutosave(sourceGroupId);
+    });
+
+    // Put the group where the first tab is, then move the tabs into it
+    const first = findLocation(state.items, orderedTabIds[0]);
+    first.list.splice(first.index, 0, group);
+    state.items = detachTabs(state.items, new Set(orderedTabIds));
+    group.tabs = orderedTabIds;
+
+    // Remove groups emptied by the move
+    state.items = filterTabs(state.items, () => true);
+    return group.group;
+  },
+
+  // Move a tab out of its group, right after the group (one level up)
+  'ungroup-tab': (state, { tabId }) => {
+    const groupId = getTabGroupId(state.items, tabId);
+    if (!groupId) return;
+
+    const group = findGroup(state.items, groupId);
+    const groupLocation = findLocation(state.items, groupId);
+    group.tabs.splice(group.tabs.indexOf(tabId), 1);
+
+    // Insert tab after the group
+    groupLocation.list.splice(groupLocation.index + 1, 0, tabId);
+
+    // Remove empty group
+    state.items = filterTabs(state.items, () => true);
+    queueAutosave(groupId);
+    if (groupLocation.parent) queueAutosave(groupLocation.parent.group);
+  },
+
+  // Replace a group with its tabs and sub-groups
+  'dissolve-group': (state, { groupId }) => {
+    const location = findLocation(state.items, groupId);
+    if (!location) return;
+
+    location.list.splice(location.index, 1, ...location.list[location.index].tabs);
+    if (location.parent) queueAutosave(location.parent.group);
+  },
+
+  // Update group properties (name, color, autoSave, collapsed)
+  'update-group': async (state, { groupId, changes }) => {
+    const group = findGroup(state.items, groupId);
+    if (!group) return;
+    Object.assign(group, changes);
+
+    // Keeping a group sorted starts with sorting it (keepSorted: null stops it)
+    if (changes.keepSorted) {
+      group.tabs = sortTabList(group.tabs, await getSortCompare(state, changes.keepSorted));
+    } else if ('keepSorted' in changes) {
+      delete group.keepSorted;
+    }
+
+    // stalePolicy: null goes back to the global policy, protected: null unprotects
+    if (changes.stalePolicy === null) delete group.stalePolicy;
+    if (changes.protected === null) delete group.protected;
+
+    // Only name, color, autoSave, protection and the tab order are part of the saved session
+    if (['name', 'color', 'autoSave', 'protected', 'keepSorted'].some(key => key in changes)) {
+      queueAutosave(groupId);
+    }
+  },
+
+  // Set (or reset with name = null) a tab's custom name
+  'rename-tab': (state, { tabId, name }) => {
+    if (name) {
+      state.customNames[tabId] = name;
+    } else {
+      delete state.customNames[tabId];
+    }
+
+    // Trigger autosave if tab is in an autosave group
+    const groupId = getTabGroupId(state.items, tabId);
+    if (groupId) queueAutosave(groupId);
+  },
+
+  'save-session': async (state, { groupId }) => {
+    const group = findGroup(state.items, groupId);
+    if (!group) return null;
+
+    const sessionId = group.linkedSessionId || crypto.randomUUID();
+    const isUpdate = !!group.linkedSessionId;
+
+    // Set autoSave based on settings for new saves
+    if (!isUpdate && group.autoSave === undefined) {
+      group.autoSave = state.settings.defaultAutoSave || false;
+    }
+
+    const tabs = buildSessionTabs(state, group.tabs, await getTabsById());
+    const existingSession = state.savedSessions[sessionId];
+    if (existingSession) recordSessionVersion(existingSession, tabs, true);
+
+    state.savedSessions[sessionId] = {
+      id: sessionId,
+      name: group.name,
+      color: group.color,
+      autoSave: group.autoSave || false,  // Persist autoSave state in session
+      protected: group.protected || undefined,
+      createdAt: existingSession?.createdAt || Date.now(),
+      updatedAt: Date.now(),
+      tabs,
+      versions: existingSession?.versions
+    };
+
+    // Link group to session
+    group.linkedSessionId = sessionId;
+    return sessionId;
+  },
+
+  'save-session-as-new': async (state, { groupId, name }) => {
+    const group = findGroup(state.items, groupId);
+    if (!group) return null;
+
+    const sessionId = crypto.randomUUID();
+    const autoSaveValue = state.settings.defaultAutoSave || false;
+
+    state.savedSessions[sessionId] = {
+      id: sessionId,
+      name: name,
+      color: group.color,
+      autoSave: autoSaveValue,  // Persist autoSave state in session
+      protected: group.protected || undefined,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      tabs: buildSessionTabs(state, group.tabs, await getTabsById())
+    };
+
+    // Update group to link to new session
+    group.linkedSessionId = sessionId;
+    group.autoSave = autoSaveValue;
+    return sessionId;
+  },
+
+  // Open a session's tabs as a new group. Tabs are placed here before their onCreated
+  // events are handled, so placeNewTab skips them.
+  // windowId: window for the tabs (null = the current one, 'new' = a new window)
+  // index: root position of the group (null = the end)
+  // linked: false opens an unlinked copy. A session is linked to one open group at most.
+  'restore-session': async (state, { sessionId, windowId = null, index = null, linked = true }) => {
+    const session = state.savedSessions[sessionId];
+    if (!session || session.tabs.length === 0) return [];
+
+    let blankTabId = null;
+    if (windowId === 'new') {
+      const win = await chrome.windows.create({ focused: true });
+      windowId = win.id;
+      blankTabId = win.tabs?.[0]?.id ?? null;  // New windows come with a New Tab page
+    }
+
+    const createdIds = await createSessionTabs(state, getSessionTabEntries(session.tabs), windowId);
+    if (blankTabId !== null) await chrome.tabs.remove(blankTabId).catch(() => {});
+    if (createdIds.size === 0) return [];
+
+    const isLinked = linked && !getAllGroups(state.items).some(g => g.linkedSessionId === sessionId);
+    const group = {
+      group: generateGroupId(),
+      name: session.name,
+      color: session.color,
+      autoSave: isLinked ? session.autoSave || false : false,  // Restore autoSave state from session
+      tabs: buildGroupTabs(session.tabs, createdIds)
+    };
+    if (isLinked) group.linkedSessionId = sessionId;
+    if (session.protected) group.protected = true;
+    state.items.splice(index ?? state.items.length, 0, group);
+
+    return getAllTabIds(group.tabs);
+  },
+
+  // Add a session's tabs to the end of an existing group, skipping URLs already open there.
+  // The tabs open in the window of the group's first tab.
+  'merge-session': async (state, { sessionId, groupId }) => {
+    const session = state.savedSessions[sessionId];
+    const group = findGroup(state.items, groupId);
+    if (!session || !group) return [];
+
+    const tabsById = await getTabsById();
+    const groupTabIds = getAllTabIds(group.tabs);
+    const openUrls = new Set(groupTabIds.map(id => tabsById.get(id)?.url || state.tabRecords[id]?.url));
+    const entries = getSessionTabEntries(session.tabs).filter(entry => {
+      if (openUrls.has(entry.url)) return false;
+      openUrls.add(entry.url);  // Duplicates within the session are merged once
+      return true;
+    });
+    if (entries.length === 0) return [];
+
+    const windowId = tabsById.get(groupTabIds[0])?.windowId ?? null;
+    const createdIds = await createSessionTabs(state, entries, windowId);
+    const newTabIds = entries.map(entry => createdIds.get(entry)).filter(id => id !== undefined);
+    group.tabs.push(...newTabIds);
+    queueAutosave(groupId);
+
+    return newTabIds;
+  },
+
+  // Protect tabs from closing (protect false lifts it) - see Protection in shared.js
+  'protect-tabs': (state, { tabIds, protect }) => {
+    tabIds.forEach(tabId => {
+      if (protect) {
+        state.protectedTabs[tabId] = true;
+      } else {
+        delete state.protectedTabs[tabId];
+      }
+      const groupId = getTabGroupId(state.items, tabId);
+      if (groupId) queueAutosave(groupId);
+    });
+  },
+
+  // Close tabs from the panel. They're removed from items right away (instead of on
+  // onRemoved) so the undo history records the closing. Protected tabs are left open
+  // unless force is set.
+  'close-tabs': async (state, { tabIds, force = false }) => {
+    if (!force) tabIds = withoutProtectedTabs(state, tabIds);
+    if (tabIds.length === 0) return;
+    removeTabs(state, tabIds);
+    await chrome.tabs.remove(tabIds);
+  },
+
+  // Sort the tabs of a group (or the root list when groupId is null) once - see Sorting
+  'sort-tabs': async (state, { groupId = null, by }) => {
+    const compare = await getSortCompare(state, by);
+    if (!groupId) {
+      state.items = sortTabList(state.items, compare);
+      return;
+    }
+
+    const group = findGroup(state.items, groupId);
+    if (!group) return;
+    group.tabs = sortTabList(group.tabs, compare);
+    queueAutosave(groupId);
+  },
+
+  // Run the grouping rules over the ungrouped tabs. Returns the moves as
+  // [{ tabId, title, groupName, newGroup }]; dryRun only lists them.
+  'apply-grouping-rules': async (state, { dryRun = false }) => {
+    const tabsById = new Map((await queryNormalTabs()).map(tab => [tab.id, tab]));
+    const createdNames = new Set();
+    const moves = [];
+
+    state.items.filter(entry => !entry.group && tabsById.has(entry)).forEach(tabId => {
+      const tab = tabsById.get(tabId);
+      const rule = findGroupingRule(state.settings.groupingRules, getTabUrl(tab));
+      if (!rule) return;
+
+      const groupName = rule.groupName.trim();
+      const newGroup = !findRuleGroup(state.items, rule);
+      if (newGroup && !rule.createGroup) return;
+      if (!dryRun) placeByRule(state, tabId, getTabUrl(tab));
+
+      moves.push({ tabId, title: tab.title || tab.url, groupName, newGroup: newGroup && !createdNames.has(groupName.toLowerCase()) });
+      if (newGroup) createdNames.add(groupName.toLowerCase());
+    });
+    return moves;
+  },
+
+  // Undo/redo return the label of the reverted command (null if there's nothing to do)
+  'undo': async (state) => {
+    const history = await loadHistory();
+    const entry = history.undo.pop();
+    if (!entry) return null;
+
+    history.redo.push(await applyHistoryEntry(state, entry, history));
+    await saveHistory(history);
+    return entry.label;
+  },
+
+  'redo': async (state) => {
+    const history = await loadHistory();
+    const entry = history.redo.pop();
+    if (!entry) return null;
+
+    history.undo.push(await applyHistoryEntry(state, entry, history));
+    await saveHistory(history);
+    return entry.label;
+  },
+
+  // Update session properties (name, color, tabs) without restoring it. Linked groups
+  // take over a new name and color.
+  'update-session': (state, { sessionId, changes }) => {
+    const session = state.savedSessions[sessionId];
+    if (!session) return;
+    if (changes.tabs) recordSessionVersion(session, changes.tabs);
+    Object.assign(session, changes, { updatedAt: Date.now() });
+
+    getAllGroups(state.items).forEach(group => {
+      if (group.linkedSessionId !== sessionId) return;
+      if (changes.name) group.name = changes.name;
+      if (changes.color) group.color = changes.color;
+    });
+  },
+
+  // Replace a session's content with one of its versions. The current content becomes a
+  // version itself; linked groups stop auto-saving so they don't overwrite the result.
+  'rollback-session': (state, { sessionId, versionId }) => {
+    const session = state.savedSessions[sessionId];
+    const version = session?.versions?.find(v => v.id === versionId);
+    if (!version) return;
+
+    session.versions = session.versions.filter(v => v !== version);
+    recordSessionVersion(session, version.tabs, true);
+    Object.assign(session, {
+      name: version.name,
+      color: version.color,
+      tabs: version.tabs,
+      autoSave: false,
+      updatedAt: Date.now()
+    });
+
+    getAllGroups(state.items).forEach(group => {
+      if (group.linkedSessionId === sessionId) group.autoSave = false;
+    });
+  },
+
+  // Open a single session tab entry (with its custom name) as a new ungrouped tab
+  'open-session-tab': async (state, { entry }) => {
+    const tab = await chrome.tabs.create({ url: entry.url, active: true });
+    state.tabRecords[tab.id] = { url: entry.url, title: entry.title, index: tab.index, openedAt: Date.now() };
+    if (entry.customName) state.customNames[tab.id] = entry.customName;
+
+    if (state.settings.newTabPosition === 'top') {
+      state.items.unshift(tab.id);
+    } else {
+      state.items.push(tab.id);
+    }
+    return tab.id;
+  },
+
+  // Save a group to its session and close its tabs. The group stays in items as an
+  // empty, collapsed placeholder that unarchive-group opens again in the same spot.
+  'archive-group': async (state, { groupId, force = false }) => {
+    const group = findGroup(state.items, groupId);
+    if (!group || group.archived) return;
+    if (!force && hasProtectedTabs(state, group)) return;
+
+    await commandHandlers['save-session'](state, { groupId });
+    const tabIds = getAllTabIds(group.tabs);
+    group.archived = true;
+    group.collapsed = true;
+    group.tabs = [];
+    queueAutosave(groupId);  // Enclosing groups now save the archived session's tabs
+
+    removeTabs(state, tabIds);
+    await chrome.tabs.remove(tabIds);
+  },
+
+  // Reopen an archived group's session tabs (in the current window) into its placeholder
+  'unarchive-group': async (state, { groupId }) => {
+    const group = findGroup(state.items, groupId);
+    const session = state.savedSessions[group?.linkedSessionId];
+    if (!group?.archived || !session) return [];
+
+    const createdIds = await createSessionTabs(state, getSessionTabEntries(session.tabs));
+    if (createdIds.size === 0) return [];
+
+    group.tabs = buildGroupTabs(session.tabs, createdIds);
+    delete group.archived;
+    delete group.collapsed;
+    queueAutosave(groupId);
+    return getAllTabIds(group.tabs);
+  },
+
+  // Bring back a trashed session, or reopen a trashed group (in the current window) where
+  // it was. Returns the tab IDs opened.
+  'restore-trash': async (state, { trashId }) => {
+    const entry = state.trash.find(e => e.id === trashId);
+    if (!entry) return [];
+
+    if (entry.type === 'session') {
+      const sessionId = state.savedSessions[entry.session.id] ? crypto.randomUUID() : entry.session.id;
+      state.savedSessions[sessionId] = { ...entry.session, id: sessionId };
+      state.trash = state.trash.filter(e => e !== entry);
+      return [];
+    }
+
+    const tabIds = await reopenClosedGroup(state, entry);
+    if (tabIds.length > 0) state.trash = state.trash.filter(e => e !== entry);
+    return tabIds;
+  },
+
+  // Close tabs until wakeAt (ms timestamp), one snooze entry per tab. Tabs without a
+  // recorded URL can't be reopened and stay open. Returns the tab IDs snoozed.
+  'snooze-tabs': async (state, { tabIds, wakeAt, force = false }) => {
+    if (!force) tabIds = withoutProtectedTabs(state, tabIds);
+    tabIds = tabIds.filter(tabId => findLocation(state.items, tabId) && state.tabRecords[tabId]?.url);
+    if (tabIds.length === 0) return [];
+
+    const entries = tabIds.map(tabId => {
+      const location = findLocation(state.items, tabId);
+      const record = state.tabRecords[tabId];
+      return {
+        id: crypto.randomUUID(),
+        snoozedAt: Date.now(),
+        wakeAt,
+        type: 'tab',
+        tab: { url: record.url, title: record.title, customName: state.customNames[tabId], protected: state.protectedTabs[tabId] },
+        parentId: location.parent ? location.parent.group : null,
+        index: location.index
+      };
+    });
+
+    state.snoozed = [...state.snoozed, ...entries];
+    await closeWithoutTrash(state, tabIds);
+    return tabIds;
+  },
+
+  // Close a group (with its sub-groups) until wakeAt. Returns whether it was snoozed.
+  'snooze-group': async (state, { groupId, wakeAt, force = false }) => {
+    const location = findLocation(state.items, groupId);
+    if (!location) return false;
+    const group = location.list[location.index];
+    if (!force && hasProtectedTabs(state, group)) return false;
+
+    const recordsById = new Map(Object.entries(state.tabRecords).map(([id, record]) => [Number(id), record]));
+    const tabs = buildSessionTabs(state, group.tabs, recordsById);
+    if (tabs.length === 0) return false;
+
+    state.snoozed = [...state.snoozed, {
+      id: crypto.randomUUID(),
+      snoozedAt: Date.now(),
+      wakeAt,
+      type: 'group',
+      group: {
+        group: group.group,
+        name: group.name,
+        color: group.color,
+        autoSave: group.autoSave,
+        linkedSessionId: group.linkedSessionId,
+        protected: group.protected,
+        tabs
+      },
+      parentId: location.parent ? location.parent.group : null,
+      index: location.index
+    }];
+    location.list.splice(location.index, 1);
+    if (location.parent) queueAutosave(location.parent.group);
+    await closeWithoutTrash(state, getAllTabIds(group.tabs));
+    return true;
+  },
+
+  // Reopen a snoozed entry now. Returns the new tab IDs.
+  'wake-snoozed': async (state, { snoozeId }) => {
+    const entry = state.snoozed.find(e => e.id === snoozeId);
+    if (!entry) return [];
+    state.snoozed = state.snoozed.filter(e => e !== entry);
+    return reopenSnoozed(state, entry);
+  },
+
+  // Drop a snoozed entry without reopening it
+  'discard-snoozed': (state, { snoozeId }) => {
+    state.snoozed = state.snoozed.filter(e => e.id !== snoozeId);
+  },
+
+  // Delete a trash entry for good (trashId null empties the trash)
+  'purge-trash': (state, { trashId = null }) => {
+    state.trash = trashId ? state.trash.filter(e => e.id !== trashId) : [];
+  },
+
+  'delete-session': (state, { sessionId }) => {
+    const session = state.savedSessions[sessionId];
+    if (!session) return;
+
+    addToTrash(state, { type: 'session', session });
+    delete state.savedSessions[sessionId];
+
+    // Clear linkedSessionId from any groups that reference this session - archived
+    // placeholders have nothing left to restore and are removed
+    getAllGroups(state.items).forEach(group => {
+      if (group.linkedSessionId !== sessionId) return;
+      if (group.archived) {
+        const location = findLocation(state.items, group.group);
+        location.list.splice(location.index, 1);
+      } else {
+        delete group.linkedSessionId;
+      }
+    });
+  }
+};
+
+// Create tabs for session tab entries in batches. Returns Map of entry → new tab ID
+// (entries whose tab failed to open are missing). With settings.lazyRestore the tabs open
+// as placeholders (see Lazy Restore in shared.js). windowId null = the current window.
+async function createSessionTabs(state, entries, windowId = null) {
+  const BATCH_SIZE = 5;
+  const BATCH_DELAY = 150;
+  const createdIds = new Map();
+
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE);
+
+    const results = await Promise.allSettled(
+      batch.map(tab => chrome.tabs.create({
+        url: state.settings.lazyRestore ? getRestorePageUrl(tab.url, tab.title) : tab.url,
+        active: false,
+        ...(windowId !== null && { windowId })
+      }))
+    );
+
+    results.forEach((result, idx) => {
+      if (result.status === 'fulfilled') {
+        const newTab = result.value;
+        createdIds.set(batch[idx], newTab.id);
+        state.tabRecords[newTab.id] = { url: batch[idx].url, title: batch[idx].title, index: newTab.index, openedAt: Date.now() };
+
+        // Store custom name if exists
+        if (batch[idx].customName) {
+          state.customNames[newTab.id] = batch[idx].customName;
+        }
+        if (batch[idx].protected) state.protectedTabs[newTab.id] = true;
+      }
+    });
+
+    // Delay between batches
+    if (i + BATCH_SIZE < entries.length) {
+      await new Promise(r => setTimeout(r, BATCH_DELAY));
+    }
+  }
+
+  return createdIds;
+}
+
+// Turn session tabs into group tabs using the created tab IDs - sub-group entries become
+// sub-groups with new IDs, entries without a tab and empty sub-groups are left out
+function buildGroupTabs(sessionTabs, createdIds) {
+  return sessionTabs.map(entry => {
+    if (!isSessionGroup(entry)) return createdIds.get(entry);
+    const group = {
+      group: generateGroupId(),
+      name: entry.name,
+      color: entry.color,
+      tabs: buildGroupTabs(entry.tabs, createdIds)
+    };
+    if (entry.collapsed) group.collapsed = true;
+    if (entry.protected) group.protected = true;
+    return group;
+  }).filter(entry => entry !== undefined && (!entry.group || entry.tabs.length > 0));
+}
+
+// Undo History
+// Undoable panel commands record what they changed of items, customNames, protectedTabs and
+// the saved sessions as it was before. Undo and redo swap such a snapshot with the current
+// state: tabs the command closed are reopened (and renumbered throughout the history), tabs
+// it opened are closed again. Session versions stay out of snapshots - they are history
+// already, and would fill session storage quickly.
+// Kept in session storage - tab IDs don't survive a browser restart anyway.
+
+const HISTORY_LIMIT = 50;
+
+// Labels of undoable commands - a function returns null when the change isn't worth undoing
+const UNDO_LABELS = {
+  'move-group': 'Move group',
+  'move-tabs': ({ tabIds }) => tabIds.length === 1 ? 'Move tab' : `Move ${tabIds.length} tabs`,
+  'create-group': 'Create group',
+  'ungroup-tab': 'Remove from group',
+  'dissolve-group': 'Ungroup',
+  'update-group': ({ changes }) => Object.keys(changes).some(key => key !== 'collapsed') ? 'Edit group' : null,
+  'rename-tab': 'Rename tab',
+  'save-session': 'Save session',
+  'save-session-as-new': 'Save session',
+  'restore-session': 'Restore session',
+  'merge-session': 'Merge session',
+  'delete-session': 'Delete session',
+  'update-session': 'Edit session',
+  'rollback-session': 'Roll back session',
+  'open-session-tab': 'Open tab',
+  'archive-group': 'Archive group',
+  'unarchive-group': 'Restore archived group',
+  'restore-trash': 'Restore from trash',
+  'close-tabs': ({ tabIds }) => tabIds.length === 1 ? 'Close tab' : `Close ${tabIds.length} tabs`,
+  'protect-tabs': ({ protect }) => protect ? 'Protect tabs' : 'Unprotect tabs',
+  'apply-grouping-rules': ({ dryRun }) => dryRun ? null : 'Apply grouping rules',
+  'sort-tabs': 'Sort tabs'
+};
+
+function getUndoLabel(message) {
+  const label = UNDO_LABELS[message.command];
+  return typeof label === 'function' ? label(message) : label || null;
+}
+
+const SNAPSHOT_KEYS = ['items', 'customNames', 'protectedTabs'];
+
+// The undoable state - sessions without their versions, by session ID
+function captureSnapshot(state) {
+  const sessions = {};
+  Object.entries(state.savedSessions).forEach(([sessionId, { versions, ...session }]) => {
+    sessions[sessionId] = session;
+  });
+  return JSON.parse(JSON.stringify({
+    items: state.items,
+    customNames: state.customNames,
+    protectedTabs: state.protectedTabs,
+    sessions
+  }));
+}
+
+// The parts of snapshot `from` that differ in snapshot `to` (sessions missing in `from` are null)
+function diffSnapshot(from, to) {
+  const diff = {};
+  SNAPSHOT_KEYS.forEach(key => {
+    if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) diff[key] = from[key];
+  });
+
+  const sessions = {};
+  new Set([...Object.keys(from.sessions), ...Object.keys(to.sessions)]).forEach(sessionId => {
+    if (JSON.stringify(from.sessions[sessionId]) !== JSON.stringify(to.sessions[sessionId])) {
+      sessions[sessionId] = from.sessions[sessionId] || null;
+    }
+  });
+  if (Object.keys(sessions).length > 0) diff.sessions = sessions;
+  return diff;
+}
+
+async function loadHistory() {
+  const { history } = await chrome.storage.session.get('history');
+  return history || { undo: [], redo: [] };
+}
+
+// A full session storage only costs the undo history, never the change itself
+async function saveHistory(history) {
+  try {
+    await chrome.storage.session.set({ history });
+    return true;
+  } catch (err) {
+    console.error('Independent Tabs: saving the undo history failed', err);
+    return false;
+  }
+}
+
+// Add an undo entry for a command (clears the redo stack). records and trash are the
+// tabRecords and trash from before the command. Returns false if the command changed nothing.
+async function recordHistory(state, before, records, trash, label) {
+  const after = captureSnapshot(state);
+  const snapshot = diffSnapshot(before, after);
+  if (Object.keys(snapshot).length === 0) return false;
+
+  const beforeIds = getAllTabIds(before.items);
+  const beforeSet = new Set(beforeIds);
+  const afterIds = getAllTabIds(after.items);
+  const afterSet = new Set(afterIds);
+
+  const history = await loadHistory().catch(() => ({ undo: [], redo: [] }));
+  history.undo.push({
+    label,
+    snapshot,
+    closedTabs: beforeIds.filter(id => !afterSet.has(id)).map(id => ({ id, ...records[id] })),
+    openedTabIds: afterIds.filter(id => !beforeSet.has(id)),
+    // Only the trash entries the command added or removed - the rest of the trash is left alone
+    trashAdded: state.trash.filter(entry => !trash.includes(entry)),
+    trashRemoved: trash.filter(entry => !state.trash.includes(entry))
+  });
+  history.undo = history.undo.slice(-HISTORY_LIMIT);
+  history.redo = [];
+  return saveHistory(history);
+}
+
+// Replace the state with an entry's snapshot. Returns the entry that reverts this again.
+async function applyHistoryEntry(state, entry, history) {
+  const { snapshot } = entry;
+  const current = captureSnapshot(state);
+  const liveIds = new Set((await queryNormalTabs()).map(t => t.id));
+
+  // Close the tabs the command opened
+  const closeIds = entry.openedTabIds.filter(id => liveIds.has(id));
+  const closedTabs = closeIds.map(id => ({ id, ...state.tabRecords[id] }));
+  if (closeIds.length > 0) await chrome.tabs.remove(closeIds);
+
+  // Reopen the tabs it closed
+  const idMap = await reopenTabs(entry.closedTabs.filter(tab => !liveIds.has(tab.id)));
+
+  // Collapsing isn't undoable, so existing groups keep their current collapsed state
+  // (archived placeholders are always collapsed - that's part of the archiving)
+  if (snapshot.items) {
+    const collapsedById = new Map(getAllGroups(state.items)
+      .filter(g => !g.archived)
+      .map(g => [g.group, !!g.collapsed]));
+    state.items = snapshot.items;
+    getAllGroups(state.items).forEach(group => {
+      if (!collapsedById.has(group.group) || group.archived) return;
+      if (collapsedById.get(group.group)) {
+        group.collapsed = true;
+      } else {
+        delete group.collapsed;
+      }
+    });
+  }
+  if (snapshot.customNames) state.customNames = snapshot.customNames;
+  if (snapshot.protectedTabs) state.protectedTabs = snapshot.protectedTabs;
+
+  // Sessions keep their current versions - a session brought back from the trash gets
+  // the versions of its trash entry
+  const trashAdded = entry.trashAdded || [];
+  const trashRemoved = entry.trashRemoved || [];
+  Object.entries(snapshot.sessions || {}).forEach(([sessionId, session]) => {
+    if (!session) {
+      delete state.savedSessions[sessionId];
+      return;
+    }
+    const versions = state.savedSessions[sessionId]?.versions ??
+      trashAdded.find(e => e.type === 'session' && e.session.id === sessionId)?.session.versions;
+    state.savedSessions[sessionId] = versions ? { ...session, versions } : session;
+  });
+
+  // Take back the trash entries the command added, put back the ones it removed
+  const addedIds = new Set(trashAdded.map(e => e.id));
+  const keptTrash = state.trash.filter(e => !addedIds.has(e.id));
+  const keptIds = new Set(keptTrash.map(e => e.id));
+  state.trash = [...keptTrash, ...trashRemoved.filter(e => !keptIds.has(e.id))]
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+
+  entry.closedTabs.forEach(({ id, ...record }) => {
+    if (record.url) state.tabRecords[id] = record;
+  });
+  remapTabIds(state, idMap);
+  remapHistory(history, idMap);
+
+  // Tabs opened or closed since the command keep their state
+  await syncWithTabs(state);
+
+  return {
+    label: entry.label,
+    snapshot: diffSnapshot(current, captureSnapshot(state)),
+    closedTabs,
+    openedTabIds: [...idMap.values()],
+    trashAdded: trashRemoved,
+    trashRemoved: trashAdded
+  };
+}
+
+// Reopen closed tabs, preferring Chrome's recently closed list (original window and
+// position, history kept). Returns Map of old tab ID → reopened tab ID.
+async function reopenTabs(closedTabs) {
+  const idMap = new Map();
+  if (closedTabs.length === 0) return idMap;
+
+  const recent = (await chrome.sessions.getRecentlyClosed()).filter(session => session.tab);
+  for (const closed of closedTabs) {
+    let tab = null;
+    const index = recent.findIndex(session => getTabUrl(session.tab) === closed.url);
+    if (index !== -1) {
+      const [session] = recent.splice(index, 1);
+      tab = (await chrome.sessions.restore(session.tab.sessionId).catch(() => null))?.tab;
+    }
+    if (!tab && closed.url) {
+      tab = await chrome.tabs.create({ url: closed.url, active: false }).catch(() => null);
+    }
+    if (tab) idMap.set(closed.id, tab.id);
+  }
+
+  return idMap;
+}
+
+// Point all history entries at reopened tabs
+function remapHistory(history, idMap) {
+  if (idMap.size === 0) return;
+  const remap = id => idMap.has(id) ? idMap.get(id) : id;
+
+  [...history.undo, ...history.redo].forEach(entry => {
+    // customNames and protectedTabs are remapped in place
+    const snapshot = { items: [], customNames: {}, protectedTabs: {}, ...entry.snapshot, tabRecords: {} };
+    remapTabIds(snapshot, idMap);
+    if (entry.snapshot.items) entry.snapshot.items = snapshot.items;
+    entry.closedTabs.forEach(tab => {
+      tab.id = remap(tab.id);
+    });
+    entry.openedTabIds = entry.openedTabIds.map(remap);
+  });
+}
+
+// Handle keyboard shortcuts (works regardless of focus)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'navigate-up' || command === 'navigate-down') {
+    await navigate(command === 'navigate-up' ? 'up' : 'down');
   } else if (command === 'focus-search') {
     // Focus search in side panel (panel must be open)
     try {
@@ -71,5 +2078,65 @@ chrome.commands.onCommand.addListener(async (command) => {
     } catch (e) {
       // Side panel not open - that's okay
     }
+  } else if (command === 'command-palette') {
+    // Opening the panel is only allowed right away in the shortcut's event (Chrome 116+).
+    // A panel that's still loading finds the request in session storage.
+    if (tab && chrome.sidePanel.open) {
+      chrome.sidePanel.open({ windowId: tab.windowId }).catch(() => {});
+      await chrome.storage.session.set({ openCommandPalette: true });
+    }
+    try {
+      await chrome.runtime.sendMessage({ type: 'command-palette' });
+      await chrome.storage.session.remove('openCommandPalette');
+    } catch (e) {
+      // Side panel not loaded yet - it opens the palette on start
+    }
   }
 });
+
+// Global navigation - walks the stored custom order, so it works while the panel is closed.
+// settings.navigationScope: 'all' walks every window's tabs, 'window' only the current one.
+// settings.navigationWrap: jump from the last tab to the first (and back) instead of stopping.
+// settings.collapsedNavigation: 'skip' tabs in collapsed groups, or 'expand' the group entered.
+async function navigate(direction) {
+  const { items = [], settings = {} } = await chrome.storage.local.get(['items', 'settings']);
+  const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+
+  const tabs = await queryNormalTabs();
+  const windowOf = new Map(tabs.map(tab => [tab.id, tab.windowId]));
+  let orderedIds = getAllTabIds(items).filter(id => windowOf.has(id));
+  if (settings.navigationScope === 'window' && activeTab) {
+    orderedIds = orderedIds.filter(id => windowOf.get(id) === activeTab.windowId);
+  }
+
+  const expandOnEnter = settings.collapsedNavigation === 'expand';
+  const navigableIds = expandOnEnter ? orderedIds : getExpandedTabIds(items);
+  const step = direction === 'down' ? 1 : -1;
+  const newTabId = stepTabOrder(orderedIds, navigableIds, activeTab?.id, step, settings.navigationWrap);
+  if (newTabId === null) return;
+
+  await chrome.tabs.update(newTabId, { active: true });
+
+  // Entered a collapsed group - expand it (and any collapsed group around it)
+  const groupId = getTabGroupId(items, newTabId);
+  if (expandOnEnter && groupId && getGroupPath(items, groupId).some(g => g.collapsed)) {
+    await withState(state => {
+      getGroupPath(state.items, groupId).forEach(group => {
+        delete group.collapsed;
+      });
+    });
+  }
+
+  // Tab lives in another window - bring that window to the front
+  const newWindowId = windowOf.get(newTabId);
+  if (newWindowId !== activeTab?.windowId) {
+    await chrome.windows.update(newWindowId, { focused: true });
+  }
+
+  // Let an open side panel move its keyboard focus along
+  try {
+    await chrome.runtime.sendMessage({ type: 'navigated', tabId: newTabId });
+  } catch (e) {
+    // Side panel not open - that's okay
+  }
+}
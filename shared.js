@@ -0,0 +1,479 @@
+// Independent Tabs - Shared helpers
+// Loaded by the side panel and options page (<script>) and the service worker (importScripts)
+
+// Data structure:
+// items: Array of tab IDs (ungrouped) or group objects
+// Group object: { group: 'uuid', name: 'Group Name', color: '#hex', tabs: [tabId | group, ...],
+//                 collapsed?: true, archived?: true, keepSorted?: sort order ID (see TAB_SORT_ORDERS),
+//                 stalePolicy?: { discardHours, closeDays } (see Stale Tabs), protected?: true }
+// A group's tabs may contain sub-groups to any depth ("Client X" → "Docs", "Tickets").
+
+const GROUP_COLORS = [
+  '#e91e63', '#9c27b0', '#673ab7', '#3f51b5', '#2196f3',
+  '#00bcd4', '#009688', '#4caf50', '#8bc34a', '#ff9800', '#ff5722'
+];
+
+// All tab IDs in display order, including tabs in (nested) groups
+function getAllTabIds(items) {
+  const ids = [];
+  items.forEach(item => {
+    if (typeof item === 'number') {
+      ids.push(item);
+    } else if (item.group) {
+      ids.push(...getAllTabIds(item.tabs));
+    }
+  });
+  return ids;
+}
+
+// All groups, depth-first in display order
+function getAllGroups(items) {
+  const groups = [];
+  items.forEach(item => {
+    if (item.group) {
+      groups.push(item, ...getAllGroups(item.tabs));
+    }
+  });
+  return groups;
+}
+
+// ID of the innermost group holding the tab
+function getTabGroupId(items, tabId) {
+  const group = getAllGroups(items).find(g => g.tabs.includes(tabId));
+  return group ? group.group : null;
+}
+
+function findGroup(items, groupId) {
+  return getAllGroups(items).find(g => g.group === groupId) || null;
+}
+
+// Groups from the outermost one down to groupId (empty if not found)
+function getGroupPath(items, groupId) {
+  for (const item of items) {
+    if (!item.group) continue;
+    if (item.group === groupId) return [item];
+    const path = getGroupPath(item.tabs, groupId);
+    if (path.length > 0) return [item, ...path];
+  }
+  return [];
+}
+
+// The list holding a tab or group (items or a group's tabs), its index there and the
+// parent group (null at the root). key is a tab ID or a group ID.
+function findLocation(items, key, parent = null) {
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item === key || (item.group && item.group === key)) {
+      return { list: items, index: i, parent };
+    }
+    if (item.group) {
+      const location = findLocation(item.tabs, key, item);
+      if (location) return location;
+    }
+  }
+  return null;
+}
+
+// Keep only tabs passing keep(tabId), mutating groups in place. Groups left without
+// tabs are removed, except archived placeholders. Returns the new list.
+function filterTabs(items, keep) {
+  return items.filter(item => {
+    if (typeof item === 'number') {
+      return keep(item);
+    } else if (item.group) {
+      item.tabs = filterTabs(item.tabs, keep);
+      return item.tabs.length > 0 || item.archived;  // Remove empty groups
+    }
+    return false;
+  });
+}
+
+// Replace tab IDs using fn(tabId), mutating groups in place. Returns the new list.
+function mapTabIds(items, fn) {
+  return items.map(item => {
+    if (typeof item === 'number') return fn(item);
+    if (item.group) item.tabs = mapTabIds(item.tabs, fn);
+    return item;
+  });
+}
+
+function getNextGroupColor(items) {
+  const usedColors = getAllGroups(items).map(g => g.color);
+  for (const color of GROUP_COLORS) {
+    if (!usedColors.includes(color)) return color;
+  }
+  return GROUP_COLORS[Math.floor(Math.random() * GROUP_COLORS.length)];
+}
+
+function generateGroupId() {
+  return 'g' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// Tab IDs not hidden inside collapsed groups (at any level)
+function getExpandedTabIds(items) {
+  const ids = [];
+  items.forEach(item => {
+    if (typeof item === 'number') {
+      ids.push(item);
+    } else if (item.group && !item.collapsed) {
+      ids.push(...getExpandedTabIds(item.tabs));
+    }
+  });
+  return ids;
+}
+
+// Step from currentId to the next navigable tab in orderedIds (step: 1 = down, -1 = up).
+// currentId may itself be hidden (e.g. inside a collapsed group) - its position in
+// orderedIds is still the starting point. Returns null at the ends unless wrap is set.
+function stepTabOrder(orderedIds, navigableIds, currentId, step, wrap = false) {
+  const navigable = new Set(navigableIds);
+  const candidates = orderedIds.filter(id => navigable.has(id));
+  if (candidates.length === 0) return null;
+
+  const start = orderedIds.indexOf(currentId);
+  if (start === -1) {
+    // Nothing focused yet - start at the first or last tab
+    return step > 0 ? candidates[0] : candidates[candidates.length - 1];
+  }
+
+  for (let i = start + step; i >= 0 && i < orderedIds.length; i += step) {
+    if (navigable.has(orderedIds[i])) return orderedIds[i];
+  }
+
+  if (!wrap) return null;
+  const wrapped = step > 0 ? candidates[0] : candidates[candidates.length - 1];
+  return wrapped === currentId ? null : wrapped;
+}
+
+// Orders the sort actions offer (sorting happens in the service worker)
+const TAB_SORT_ORDERS = [
+  { id: 'domain', label: 'Domain' },
+  { id: 'title', label: 'Title' },
+  { id: 'customName', label: 'Custom name' },
+  { id: 'lastAccessed', label: 'Last accessed' },
+  { id: 'openedAt', label: 'Open time' }
+];
+
+// Sessions
+// Session tabs: [{ url, title, customName, protected? } | { name, color, tabs: [...] }, ...]
+// Sub-group entries mirror nested groups and are told apart by their tabs array.
+
+function isSessionGroup(entry) {
+  return Array.isArray(entry.tabs);
+}
+
+// Tab entries of a session, flattened from sub-groups
+function getSessionTabEntries(tabs) {
+  return tabs.flatMap(entry => isSessionGroup(entry) ? getSessionTabEntries(entry.tabs) : [entry]);
+}
+
+// Lazy Restore
+// With settings.lazyRestore, restored tabs open restore.html?url=…&title=… - a blank
+// placeholder that loads the page once the tab is shown. Everywhere else they count as
+// that page (see getTabUrl).
+
+const RESTORE_PAGE = 'restore.html';
+
+function getRestorePageUrl(url, title) {
+  return `${chrome.runtime.getURL(RESTORE_PAGE)}?${new URLSearchParams({ url, title: title || '' })}`;
+}
+
+// URL of the page a placeholder stands for (null for any other URL)
+function getPlaceholderUrl(url) {
+  const prefix = `${chrome.runtime.getURL(RESTORE_PAGE)}?`;
+  if (!url || !url.startsWith(prefix)) return null;
+  return new URLSearchParams(url.slice(prefix.length)).get('url');
+}
+
+function isPlaceholderTab(tab) {
+  return getPlaceholderUrl(tab.url || tab.pendingUrl) !== null;
+}
+
+// URL of a tab's page - restored tabs that haven't loaded only have pendingUrl
+function getTabUrl(tab) {
+  const url = tab.url || tab.pendingUrl || '';
+  return getPlaceholderUrl(url) ?? url;
+}
+
+// Duplicates
+// Tabs are duplicates when their URLs match after dropping what settings say to ignore:
+// duplicateIgnoreHash (default on), duplicateIgnoreQuery, duplicateIgnoreTrailingSlash (default on)
+
+const DUPLICATE_IGNORED_URLS = ['chrome://newtab/', 'about:blank'];
+const DUPLICATE_SETTINGS = ['duplicateIgnoreHash', 'duplicateIgnoreQuery', 'duplicateIgnoreTrailingSlash'];
+
+// Key to compare URLs by (null for URLs that never count as duplicates, like new tab pages)
+function getDuplicateKey(url, settings) {
+  if (!url || DUPLICATE_IGNORED_URLS.includes(url)) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  let path = parsed.pathname;
+  if (settings?.duplicateIgnoreTrailingSlash ?? true) path = path.replace(/\/+$/, '');
+  const search = settings?.duplicateIgnoreQuery ? '' : parsed.search;
+  const hash = (settings?.duplicateIgnoreHash ?? true) ? '' : parsed.hash;
+  return `${parsed.protocol}//${parsed.host}${path}${search}${hash}`;
+}
+
+// Grouping Rules
+// settings.groupingRules: [{ id, match: 'url' | 'domain', pattern, groupName, createGroup }],
+// highest priority first. 'url' patterns are globs (* any text, ? one character) matched
+// against the whole URL, or without the scheme when the pattern has none
+// ("*.atlassian.net/*"). 'domain' matches the host and its subdomains ("github.com").
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesGroupingRule(rule, url) {
+  if (!rule.pattern || !rule.groupName) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  if (rule.match === 'domain') {
+    const domain = rule.pattern.trim().toLowerCase().replace(/^\*?\./, '');
+    return parsed.hostname === domain || parsed.hostname.endsWith('.' + domain);
+  }
+  const target = rule.pattern.includes('://') ? url : url.slice(parsed.protocol.length).replace(/^\/\//, '');
+  return globToRegExp(rule.pattern.trim()).test(target);
+}
+
+// First rule matching url (null if none)
+function findGroupingRule(rules, url) {
+  return (rules || []).find(rule => matchesGroupingRule(rule, url)) || null;
+}
+
+// The group a rule puts tabs in: the first (non-archived) group with its name
+function findRuleGroup(items, rule) {
+  const name = rule.groupName.trim().toLowerCase();
+  return getAllGroups(items).find(group => !group.archived && group.name.trim().toLowerCase() === name) || null;
+}
+
+// Stale Tabs
+// A tab is unused since it was last active (tabRecords lastActiveAt, or openedAt for tabs
+// never activated). settings.staleDays dims tabs unused that long in the panel;
+// settings.staleDiscardHours and staleCloseDays unload or close them (0 or missing = never).
+// A group's stalePolicy replaces the global discard/close policy for its tabs, sub-groups
+// included - the innermost group with a policy wins. Active, pinned, audible and protected
+// tabs are never stale.
+
+const STALE_DAYS = 7;
+
+function getLastUsed(record) {
+  return record?.lastActiveAt || record?.openedAt || null;
+}
+
+// { discardHours, closeDays } for a tab
+function getStalePolicy(items, tabId, settings) {
+  const group = getGroupPath(items, getTabGroupId(items, tabId)).reverse().find(g => g.stalePolicy);
+  if (group) {
+    return { discardHours: group.stalePolicy.discardHours || 0, closeDays: group.stalePolicy.closeDays || 0 };
+  }
+  return { discardHours: settings?.staleDiscardHours || 0, closeDays: settings?.staleCloseDays || 0 };
+}
+
+// tab: a Chrome tab (or the panel's tab data)
+function isStaleExempt(tab) {
+  return !!(tab.active || tab.pinned || tab.audible);
+}
+
+// Protection
+// Protected tabs (protectedTabs: { tabId: true }, like customNames) and tabs in protected
+// groups (at any depth) have no close button in the panel, are left out when closing
+// several tabs at once and ask before closing on their own, archiving or snoozing - the
+// service worker only closes, archives or snoozes them when a command passes force.
+// Sessions keep the protection.
+
+function isTabProtected(items, protectedTabs, tabId) {
+  return !!protectedTabs[tabId] || getGroupPath(items, getTabGroupId(items, tabId)).some(group => group.protected);
+}
+
+function getProtectedTabIds(items, protectedTabs, tabIds) {
+  return tabIds.filter(tabId => isTabProtected(items, protectedTabs, tabId));
+}
+
+// Backup
+// Format version
+// 1: flat items (tab IDs and groups of tab IDs)
+// 2: groups and session tabs may contain nested sub-groups
+const BACKUP_VERSION = 2;
+
+// Download all stored data as a JSON file (the user picks where to save it)
+async function exportBackup() {
+  const data = await chrome.storage.local.get(null);
+
+  const backup = {
+    version: BACKUP_VERSION,
+    extensionVersion: chrome.runtime.getManifest().version,
+    timestamp: new Date().toISOString(),
+    data: data
+  };
+
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const filename = `independent-tabs-backup-${new Date().toISOString().slice(0, 10)}.json`;
+
+  try {
+    await chrome.downloads.download({
+      url: url,
+      filename: filename,
+      saveAs: true
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Keymap
+// Panel keys (used while the side panel has focus). A key is written as its modifiers
+// (Ctrl, Alt, Shift - in that order) and the key name, e.g. "Ctrl+Shift+z", "Alt+ArrowUp".
+// Letters are lowercase, Cmd counts as Ctrl, and Shift is left out of typed symbols ("?").
+// settings.keymap: { actionId: [key, ...] } - missing actions use the default preset.
+
+const KEYMAP_ACTIONS = [
+  { id: 'focus-next', label: 'Focus next tab' },
+  { id: 'focus-previous', label: 'Focus previous tab' },
+  { id: 'select-next', label: 'Extend selection down' },
+  { id: 'select-previous', label: 'Extend selection up' },
+  { id: 'collapse-group', label: 'Collapse group' },
+  { id: 'expand-group', label: 'Expand group' },
+  { id: 'open-tab', label: 'Open focused tab' },
+  { id: 'rename-tab', label: 'Rename focused tab' },
+  { id: 'close-tab', label: 'Close focused tab (or selection)' },
+  { id: 'move-up', label: 'Move tabs up' },
+  { id: 'move-down', label: 'Move tabs down' },
+  { id: 'move-in', label: 'Move tabs into adjacent group' },
+  { id: 'move-out', label: 'Move tabs out of their group' },
+  { id: 'move-top', label: 'Move tabs to the top' },
+  { id: 'move-bottom', label: 'Move tabs to the bottom' },
+  { id: 'move-group-up', label: 'Move group up' },
+  { id: 'move-group-down', label: 'Move group down' },
+  { id: 'move-group-in', label: 'Move group into adjacent group' },
+  { id: 'move-group-out', label: 'Move group out of its parent' },
+  { id: 'move-group-top', label: 'Move group to the top' },
+  { id: 'move-group-bottom', label: 'Move group to the bottom' },
+  { id: 'tab-menu', label: 'Tab context menu' },
+  { id: 'group-menu', label: 'Group context menu' },
+  { id: 'undo', label: 'Undo' },
+  { id: 'redo', label: 'Redo' },
+  { id: 'command-palette', label: 'Command palette' },
+  { id: 'focus-search', label: 'Focus search' },
+  { id: 'clear-search', label: 'Clear search (in the search box)' }
+];
+
+const DEFAULT_KEYMAP = {
+  'focus-next': ['ArrowDown'],
+  'focus-previous': ['ArrowUp'],
+  'select-next': ['Shift+ArrowDown'],
+  'select-previous': ['Shift+ArrowUp'],
+  'collapse-group': ['ArrowLeft'],
+  'expand-group': ['ArrowRight'],
+  'open-tab': ['Enter'],
+  'rename-tab': ['Space'],
+  'close-tab': ['Delete'],
+  'move-up': ['Alt+ArrowUp'],
+  'move-down': ['Alt+ArrowDown'],
+  'move-in': ['Alt+ArrowRight'],
+  'move-out': ['Alt+ArrowLeft'],
+  'move-top': ['Alt+Home'],
+  'move-bottom': ['Alt+End'],
+  'move-group-up': ['Ctrl+Alt+ArrowUp'],
+  'move-group-down': ['Ctrl+Alt+ArrowDown'],
+  'move-group-in': ['Ctrl+Alt+ArrowRight'],
+  'move-group-out': ['Ctrl+Alt+ArrowLeft'],
+  'move-group-top': ['Ctrl+Alt+Home'],
+  'move-group-bottom': ['Ctrl+Alt+End'],
+  'tab-menu': ['ContextMenu', 'Shift+F10'],
+  'group-menu': ['Ctrl+ContextMenu', 'Ctrl+Shift+F10'],
+  'undo': ['Ctrl+z'],
+  'redo': ['Ctrl+Shift+z'],
+  'command-palette': ['Ctrl+k'],
+  'focus-search': [],
+  'clear-search': ['Escape']
+};
+
+// Vim keys next to the default ones
+const VIM_KEYMAP = {
+  ...DEFAULT_KEYMAP,
+  'focus-next': ['j', 'ArrowDown'],
+  'focus-previous': ['k', 'ArrowUp'],
+  'select-next': ['Shift+j', 'Shift+ArrowDown'],
+  'select-previous': ['Shift+k', 'Shift+ArrowUp'],
+  'collapse-group': ['h', 'ArrowLeft'],
+  'expand-group': ['l', 'ArrowRight'],
+  'open-tab': ['Enter', 'o'],
+  'close-tab': ['x', 'Delete'],
+  'move-up': ['Alt+k', 'Alt+ArrowUp'],
+  'move-down': ['Alt+j', 'Alt+ArrowDown'],
+  'move-in': ['Alt+l', 'Alt+ArrowRight'],
+  'move-out': ['Alt+h', 'Alt+ArrowLeft'],
+  'move-group-up': ['Ctrl+Alt+k', 'Ctrl+Alt+ArrowUp'],
+  'move-group-down': ['Ctrl+Alt+j', 'Ctrl+Alt+ArrowDown'],
+  'move-group-in': ['Ctrl+Alt+l', 'Ctrl+Alt+ArrowRight'],
+  'move-group-out': ['Ctrl+Alt+h', 'Ctrl+Alt+ArrowLeft'],
+  'undo': ['u', 'Ctrl+z'],
+  'redo': ['Ctrl+r', 'Ctrl+Shift+z'],
+  'command-palette': [':', 'Ctrl+k'],
+  'focus-search': ['/']
+};
+
+const KEYMAP_PRESETS = {
+  default: { label: 'Default', keymap: DEFAULT_KEYMAP },
+  vim: { label: 'Vim', keymap: VIM_KEYMAP }
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+
+// Key string for a keydown event (null for a modifier on its own)
+function getKeyCombo(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+
+  let key = e.key === ' ' ? 'Space' : e.key;
+  const typedSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+  if (key.length === 1) key = key.toLowerCase();
+
+  return [
+    (e.ctrlKey || e.metaKey) && 'Ctrl',
+    e.altKey && 'Alt',
+    e.shiftKey && !typedSymbol && 'Shift',
+    key
+  ].filter(Boolean).join('+');
+}
+
+// Keys that type text when pressed in an input (letters, digits, symbols, space)
+function isTypingCombo(combo) {
+  return combo.length === 1 || combo === 'Space' || /^Shift\+(.|Space)$/.test(combo);
+}
+
+// "Ctrl+Shift+Z", "Alt+↑" - for display
+function formatKeyCombo(combo) {
+  const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ContextMenu: 'Menu' };
+  return combo.split('+').map(part => names[part] || (part.length === 1 ? part.toUpperCase() : part)).join('+');
+}
+
+function getKeymap(settings) {
+  return { ...DEFAULT_KEYMAP, ...settings?.keymap };
+}
+
+// Keys bound to more than one action: Map of key → [actionId, ...]
+function getKeymapConflicts(keymap) {
+  const actionsByKey = new Map();
+  KEYMAP_ACTIONS.forEach(({ id }) => {
+    (keymap[id] || []).forEach(combo => {
+      actionsByKey.set(combo, [...(actionsByKey.get(combo) || []), id]);
+    });
+  });
+  return new Map([...actionsByKey].filter(([, actionIds]) => actionIds.length > 1));
+}
@@ -1,128 +1,114 @@
 // Independent Tabs - Side Panel Logic with Tab Groups
+// The service worker owns items, customNames and savedSessions (see service-worker.js).
+// The panel renders the stored state and changes it by sending commands.
 
-// Data structure:
-// items: Array of tab IDs (ungrouped) or group objects
-// Group object: { group: 'uuid', name: 'Group Name', color: '#hex', tabs: [tabId, ...] }
-
-let items = [];           // Mixed array of tab IDs and group objects
+let items = [];           // Mixed array of tab IDs and group objects (see shared.js)
 let tabData = {};         // Tab metadata cache
 let customNames = {};     // Custom tab names
+let protectedTabs = {};   // Protected tab IDs (see Protection in shared.js)
 let selectedTabs = new Set();  // Currently selected tab IDs
 let lastClickedTab = null;     // For Shift+click range selection
 let sortableInstances = [];    // Track SortableJS instances
 let keyboardFocusedTabId = null;  // For keyboard navigation
 let savedSessions = {};   // Saved session storage
-let currentView = 'tabs'; // Current view: 'tabs' or 'sessions'
+let currentView = 'tabs'; // Current view: 'tabs', 'sessions', 'snoozed' or 'trash'
 let sessionSortOrder = 'modified';  // Sort field: 'modified', 'created', 'name'
 let sessionSortAsc = false;         // Sort direction: false = descending (newest/Z first)
-let searchQuery = '';               // Current search query
-let restoringTabIds = new Set();  // Tab IDs being restored (skip in onCreated)
-
-// Debounce queue for tab removal (prevents race conditions when closing multiple tabs)
-let removeQueue = [];
-let removeTimeout = null;
-
-// Autosave queue for groups with autoSave enabled
-let autosaveQueue = new Set();
-let autosaveTimeout = null;
-
-const GROUP_COLORS = [
-  '#e91e63', '#9c27b0', '#673ab7', '#3f51b5', '#2196f3',
-  '#00bcd4', '#009688', '#4caf50', '#8bc34a', '#ff9800', '#ff5722'
-];
+let searchQuery = '';               // Current search query (see Search Query below)
+let searchResults = null;           // Map of matching tab ID → { score, ranges } while searching
+let windowView = 'all';             // Window view: 'all', 'current' (this window only) or 'sections'
+let currentWindowId = null;         // Last focused normal window
+let collapsedWindows = new Set();   // Window IDs of collapsed sections
+let collapsedNavigation = 'skip';   // Arrow keys: 'skip' collapsed groups or 'expand' them on entry
+let expandedSessions = new Set();   // Session IDs showing their tabs
+let sessionSortables = [];          // SortableJS instances of expanded sessions
+let versionsSessionId = null;       // Session showing its version history
+let previewVersion = null;          // ID of the version previewed there
+let tabRecords = {};                // Last known URL/title per tab (titles of unloaded tabs)
+let trash = [];                     // Deleted sessions and closed groups (see service-worker.js)
+let snoozed = [];                   // Snoozed tabs and groups (see Snooze in service-worker.js)
+let keyBindings = new Map();        // Panel key → action ID (see Keymap in shared.js)
+let staleDays = STALE_DAYS;        // Dim tabs unused this many days (0 = never)
+let duplicateSettings = {};         // URL parts ignored when comparing tabs (see getDuplicateKey)
+let duplicateCounts = new Map();    // Duplicate key → number of open tabs with it
 
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
-  const stored = await chrome.storage.local.get(['items', 'customNames', 'savedSessions', 'settings']);
+  // Let the service worker reconcile items with the open tabs before the first render
+  await sendCommand('sync-tabs');
+
+  const stored = await chrome.storage.local.get(['items', 'customNames', 'protectedTabs', 'savedSessions', 'tabRecords', 'trash', 'snoozed', 'settings']);
   items = stored.items || [];
   customNames = stored.customNames || {};
+  protectedTabs = stored.protectedTabs || {};
+  tabRecords = stored.tabRecords || {};
   savedSessions = stored.savedSessions || {};
+  trash = stored.trash || [];
+  snoozed = stored.snoozed || [];
   sessionSortOrder = stored.settings?.sessionSortOrder || 'modified';
   sessionSortAsc = stored.settings?.sessionSortAsc ?? false;
-
-  // Migration from old tabOrder format
-  if (items.length === 0) {
-    const oldData = await chrome.storage.local.get('tabOrder');
-    if (oldData.tabOrder) {
-      items = oldData.tabOrder;
-      await saveItems();
-    }
-  }
-
-  // Query all normal browser windows (excludes PWAs, apps, popups)
-  const tabs = await chrome.tabs.query({ windowType: 'normal' });
-  tabs.forEach(tab => {
-    tabData[tab.id] = extractTabData(tab);
-  });
-
-  await syncItemsWithTabs(tabs);
+  windowView = stored.settings?.windowView || 'all';
+  collapsedNavigation = stored.settings?.collapsedNavigation || 'skip';
+  keyBindings = getKeyBindings(stored.settings);
+  duplicateSettings = stored.settings || {};
+  staleDays = stored.settings?.staleDays ?? STALE_DAYS;
+  currentWindowId = (await chrome.windows.getCurrent()).id;
+
+  await refreshTabData();
   render();
   setupEventListeners();
   setupContextMenu();
   setupKeyboardNavigation();
   setupViewToggle();
   setupSearch();
+  setupCommandPalette();
+
+  // Opened by the command palette shortcut - the palette was requested before we were listening
+  const { openCommandPalette: paletteRequested } = await chrome.storage.session.get('openCommandPalette');
+  if (paletteRequested) {
+    await chrome.storage.session.remove('openCommandPalette');
+    openCommandPalette();
+  }
 }
 
 function extractTabData(tab) {
   return {
     id: tab.id,
     title: tab.title || 'Loading...',
-    url: tab.url || '',
+    url: getTabUrl(tab),
     favIconUrl: tab.favIconUrl || '',
     active: tab.active,
-    windowId: tab.windowId
+    windowId: tab.windowId,
+    discarded: tab.discarded || isPlaceholderTab(tab),  // Placeholders haven't loaded either
+    loading: tab.status === 'loading',
+    audible: tab.audible,
+    pinned: tab.pinned
   };
 }
 
-async function saveItems() {
-  await chrome.storage.local.set({ items });
-}
-
-// Sync items with actual Chrome tabs
-async function syncItemsWithTabs(tabs) {
-  const currentTabIds = new Set(tabs.map(t => t.id));
-
-  // Remove closed tabs from items and groups
-  items = items.filter(item => {
-    if (typeof item === 'number') {
-      return currentTabIds.has(item);
-    } else if (item.group) {
-      item.tabs = item.tabs.filter(id => currentTabIds.has(id));
-      return item.tabs.length > 0; // Remove empty groups
-    }
-    return false;
-  });
-
-  // Get all tab IDs currently in items
-  const itemTabIds = new Set(getAllTabIds());
-
-  // Add missing tabs
-  const { settings = { newTabPosition: 'bottom' } } = await chrome.storage.local.get('settings');
-  const missingTabs = tabs.filter(t => !itemTabIds.has(t.id));
-
-  missingTabs.forEach(tab => {
-    if (settings.newTabPosition === 'top') {
-      items.unshift(tab.id);
-    } else {
-      items.push(tab.id);
-    }
+async function refreshTabData() {
+  // Query all normal browser windows (excludes PWAs, apps, popups)
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  tabs.forEach(tab => {
+    tabData[tab.id] = extractTabData(tab);
   });
-
-  await saveItems();
 }
 
-function getAllTabIds() {
-  const ids = [];
-  items.forEach(item => {
-    if (typeof item === 'number') {
-      ids.push(item);
-    } else if (item.group) {
-      ids.push(...item.tabs);
+// Send a state change to the service worker. Resulting storage changes re-render the panel.
+async function sendCommand(command, args = {}) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'command', command, ...args });
+    if (response?.error) {
+      console.error(`Independent Tabs: ${command} failed:`, response.error);
+      return null;
     }
-  });
-  return ids;
+    if (response?.undo) showToast(response.undo, 'Undo', undo);
+    return response?.result ?? null;
+  } catch (e) {
+    console.error(`Independent Tabs: ${command} failed:`, e);
+    return null;
+  }
 }
 
 function setupEventListeners() {
@@ -132,26 +118,86 @@ function setupEventListeners() {
 
   // Listen for global keyboard shortcuts
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'navigate') {
-      handleGlobalNavigation(message.direction);
+    if (message.type === 'navigated') {
+      handleGlobalNavigation(message.tabId);
     } else if (message.type === 'focus-search') {
       focusSearch();
+    } else if (message.type === 'command-palette') {
+      openCommandPalette();
+    } else if (message.type === 'snooze-woke') {
+      const count = message.tabIds.length;
+      showToast(`${count} snoozed tab${count === 1 ? ' is' : 's are'} back`, 'Show',
+        () => chrome.tabs.update(message.tabIds[0], { active: true }));
+    } else if (message.type === 'duplicate-opened' && message.windowId === currentWindowId) {
+      offerSwitchToCopy(message.tabId, message.existingTabId);
     }
   });
 
   chrome.storage.local.onChanged.addListener(async (changes) => {
     if (changes.items) {
       items = changes.items.newValue || [];
-      const tabs = await chrome.tabs.query({ windowType: 'normal' });
-      tabs.forEach(tab => {
-        tabData[tab.id] = extractTabData(tab);
-      });
+      await refreshTabData();
       render();
     }
     if (changes.customNames) {
       customNames = changes.customNames.newValue || {};
       render();
     }
+    if (changes.protectedTabs) {
+      protectedTabs = changes.protectedTabs.newValue || {};
+      render();
+    }
+    if (changes.tabRecords) {
+      tabRecords = changes.tabRecords.newValue || {};
+    }
+    if (changes.savedSessions) {
+      savedSessions = changes.savedSessions.newValue || {};
+      if (currentView === 'sessions') {
+        renderSessions();
+      } else if (getAllGroups(items).some(g => g.archived)) {
+        render();  // Archived placeholders show their session's tab count
+      }
+    }
+    if (changes.trash) {
+      trash = changes.trash.newValue || [];
+      if (currentView === 'trash') renderTrash();
+    }
+    if (changes.snoozed) {
+      snoozed = changes.snoozed.newValue || [];
+      if (currentView === 'snoozed') renderSnoozed();
+    }
+    if (changes.settings) {
+      collapsedNavigation = changes.settings.newValue?.collapsedNavigation || 'skip';
+      keyBindings = getKeyBindings(changes.settings.newValue);
+      const newDuplicateSettings = changes.settings.newValue || {};
+      const duplicatesChanged = DUPLICATE_SETTINGS.some(key => newDuplicateSettings[key] !== duplicateSettings[key]);
+      duplicateSettings = newDuplicateSettings;
+      const newStaleDays = changes.settings.newValue?.staleDays ?? STALE_DAYS;
+      const staleChanged = newStaleDays !== staleDays;
+      staleDays = newStaleDays;
+      const newView = changes.settings.newValue?.windowView || 'all';
+      if (newView !== windowView || duplicatesChanged || staleChanged) {
+        windowView = newView;
+        render();
+      }
+    }
+  });
+
+  // Follow the focused window (ignore focus moving to popups, devtools or outside Chrome)
+  chrome.windows.onFocusChanged.addListener((windowId) => {
+    if (windowId === chrome.windows.WINDOW_ID_NONE || windowId === currentWindowId) return;
+    if (!Object.values(tabData).some(data => data.windowId === windowId)) return;
+
+    currentWindowId = windowId;
+    if (windowView !== 'all') render();
+  });
+
+  // Tab moved to another window (tab IDs stay the same)
+  chrome.tabs.onAttached.addListener((tabId, { newWindowId }) => {
+    if (tabData[tabId]) {
+      tabData[tabId].windowId = newWindowId;
+      render();
+    }
   });
 
   chrome.tabs.onActivated.addListener(({ tabId }) => {
@@ -166,69 +212,32 @@ function setupEventListeners() {
     if (tabData[tabId]) {
       if (changeInfo.title) tabData[tabId].title = changeInfo.title;
       if (changeInfo.favIconUrl) tabData[tabId].favIconUrl = changeInfo.favIconUrl;
-      if (changeInfo.url) tabData[tabId].url = changeInfo.url;
+      if (changeInfo.url) {
+        tabData[tabId].url = getTabUrl(tab);
+        tabData[tabId].discarded = tab.discarded || isPlaceholderTab(tab);
+      }
+      if ('discarded' in changeInfo) tabData[tabId].discarded = changeInfo.discarded || isPlaceholderTab(tab);
+      if ('audible' in changeInfo) tabData[tabId].audible = changeInfo.audible;
+      if ('pinned' in changeInfo) tabData[tabId].pinned = changeInfo.pinned;
+      if (changeInfo.status === 'loading') tabData[tabId].loading = true;
       if (changeInfo.status === 'complete') {
         tabData[tabId] = extractTabData(tab);
       }
       render();
-
-      // Trigger autosave on URL change (navigation within tab)
-      if (changeInfo.url) {
-        const groupId = getTabGroupId(tabId);
-        if (groupId) queueAutosave(groupId);
-      }
     }
   });
 
-  chrome.tabs.onCreated.addListener(async (tab) => {
-    // Skip tabs from PWAs, apps, and popups
-    const win = await chrome.windows.get(tab.windowId);
-    if (win.type !== 'normal') return;
-
+  // Placement in items is done by the service worker - only cache display data here
+  chrome.tabs.onCreated.addListener((tab) => {
     tabData[tab.id] = extractTabData(tab);
-    const { settings = { newTabPosition: 'bottom' } } = await chrome.storage.local.get('settings');
-
-    // Check AFTER await - by now restoringTabIds will be populated if this is a restore
-    if (restoringTabIds.has(tab.id)) {
-      restoringTabIds.delete(tab.id);  // Clean up
-      return;
-    }
-
-    // Check if opener tab is in a group - add child tab to same group
-    if (tab.openerTabId) {
-      const openerGroupId = getTabGroupId(tab.openerTabId);
-      if (openerGroupId) {
-        const group = items.find(item => item.group === openerGroupId);
-        if (group) {
-          if (settings.newTabPosition === 'top') {
-            group.tabs.unshift(tab.id);
-          } else {
-            group.tabs.push(tab.id);
-          }
-          await saveItems();
-          render();
-          queueAutosave(openerGroupId);
-          return;
-        }
-      }
-    }
-
-    // Default: add to root level
-    if (settings.newTabPosition === 'top') {
-      items.unshift(tab.id);
-    } else {
-      items.push(tab.id);
-    }
-    await saveItems();
-    render();
   });
 
-  // Debounced removal handler - batches rapid tab closures to prevent race conditions
   chrome.tabs.onRemoved.addListener((tabId) => {
-    removeQueue.push(tabId);
-
-    if (removeTimeout) clearTimeout(removeTimeout);
-    removeTimeout = setTimeout(processRemoveQueue, 50);
+    delete tabData[tabId];
+    selectedTabs.delete(tabId);
+    if (keyboardFocusedTabId === tabId) {
+      keyboardFocusedTabId = null;
+    }
   });
 
   // Click outside to clear selection
@@ -240,130 +249,245 @@ function setupEventListeners() {
   });
 }
 
-// Process batched tab removals - prevents race conditions with storage listener
-async function processRemoveQueue() {
-  if (removeQueue.length === 0) return;
-
-  const tabIds = [...removeQueue];
-  removeQueue = [];
-  removeTimeout = null;
-
-  const removedSet = new Set(tabIds);
-
-  // Clean up state for all removed tabs
-  tabIds.forEach(id => {
-    delete tabData[id];
-    selectedTabs.delete(id);
-    if (keyboardFocusedTabId === id) {
-      keyboardFocusedTabId = null;
-    }
-  });
+// Tab title - tabs restored without loading only know the title recorded for them
+function getTabTitle(tabId) {
+  const data = tabData[tabId];
+  return (data?.discarded && tabRecords[tabId]?.title) || data?.title || '';
+}
 
-  // Single filter pass for all removed tabs
-  items = items.filter(item => {
-    if (typeof item === 'number') {
-      return !removedSet.has(item);
-    } else if (item.group) {
-      item.tabs = item.tabs.filter(id => !removedSet.has(id));
-      return item.tabs.length > 0;  // Remove empty groups
-    }
-    return false;
-  });
+// Search Query
+// Space-separated terms that all have to match. Words match title, custom name and URL
+// fuzzily (typos and abbreviations too), "quoted phrases" match as typed. Operators:
+// domain:github.com, group:"Client X" (any enclosing group), is:audible, is:duplicate,
+// is:pinned. A leading - excludes what matches (-youtube, -is:pinned).
+// Results keep the custom order - ranking drops fuzzy matches far weaker than the best one.
+
+const SEARCH_OPERATORS = ['domain', 'group', 'is'];
+const SEARCH_CUTOFF = 0.5;  // Minimum score relative to the best match
+let parsedQuery = { source: '', terms: [] };
+
+// Terms of the current search query: { text, field (null for plain text), phrase, negate }
+function getSearchTerms() {
+  if (parsedQuery.source !== searchQuery) {
+    parsedQuery = { source: searchQuery, terms: parseSearchQuery(searchQuery) };
+  }
+  return parsedQuery.terms;
+}
 
-  // Clean up custom names
-  let customNamesChanged = false;
-  tabIds.forEach(id => {
-    if (customNames[id]) {
-      delete customNames[id];
-      customNamesChanged = true;
+function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const [raw, negate, field, phrase, word] = match;
+    const text = (phrase ?? word ?? '').trim();
+    if (!text) continue;
+
+    if (field && !SEARCH_OPERATORS.includes(field)) {
+      // Not an operator (e.g. "localhost:8080") - search for it as typed
+      terms.push({ text: raw.replace(/^-/, ''), field: null, phrase: true, negate: !!negate });
+    } else {
+      terms.push({ text, field: field || null, phrase: phrase !== undefined, negate: !!negate });
     }
-  });
-
-  if (customNamesChanged) {
-    await chrome.storage.local.set({ customNames });
   }
+  return terms;
+}
 
-  await saveItems();
-  render();
+// Score text against a term: { score, ranges: [[start, end], ...] } or null. Exact
+// matches score highest, then abbreviations (letters in order), then words one typo away.
+// exact = true skips the fuzzy matching (phrases, excludes).
+function matchText(text, term, exact = false) {
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(term);
+  if (index !== -1) {
+    const atWordStart = index === 0 || /[^a-z0-9]/.test(lower[index - 1]);
+    return { score: 100 + (atWordStart ? 20 : 0), ranges: [[index, index + term.length]] };
+  }
+  if (exact || term.length < 2) return null;
 
-  // Check if any removed tabs were in autosave groups
-  checkAutosaveForRemovedTabs(tabIds);
+  return matchSubsequence(lower, term) || matchTypo(lower, term);
 }
 
-// Queue a group for autosave (debounced)
-function queueAutosave(groupId) {
-  const group = items.find(item => item.group === groupId);
-  if (!group || !group.autoSave || !group.linkedSessionId) return;
+// Letters of term in order, close together ("gh" → GitHub, "jrsw" → Jira Software)
+function matchSubsequence(text, term) {
+  let best = null;
+  let start = text.indexOf(term[0]);
+  for (let attempt = 0; start !== -1 && attempt < 10; attempt++) {
+    const positions = [start];
+    for (let i = 1, pos = start; i < term.length; i++) {
+      pos = text.indexOf(term[i], pos + 1);
+      if (pos === -1) break;
+      positions.push(pos);
+    }
 
-  autosaveQueue.add(groupId);
+    const span = positions[positions.length - 1] - start + 1;
+    if (positions.length === term.length && span <= term.length * 4) {
+      let points = 0;
+      positions.forEach((pos, i) => {
+        points += 1;
+        if (i > 0 && pos === positions[i - 1] + 1) points += 4;
+        if (pos === 0 || /[^a-z0-9]/.test(text[pos - 1])) points += 6;
+      });
+      const score = 30 + 40 * points / (term.length * 11);
+      if (!best || score > best.score) {
+        best = { score, ranges: positions.map(pos => [pos, pos + 1]) };
+      }
+    }
+    start = text.indexOf(term[0], start + 1);
+  }
+  return best;
+}
 
-  if (autosaveTimeout) clearTimeout(autosaveTimeout);
-  autosaveTimeout = setTimeout(processAutosaveQueue, 500);
+// A word starting with term give or take one typo (two for long terms)
+function matchTypo(text, term) {
+  if (term.length < 4) return null;
+  const maxEdits = term.length >= 8 ? 2 : 1;
+
+  const wordPattern = /[a-z0-9]+/g;
+  let word;
+  while ((word = wordPattern.exec(text)) !== null) {
+    for (const length of [term.length, term.length - 1, term.length + 1]) {
+      const prefix = word[0].slice(0, length);
+      if (prefix.length !== length) continue;
+      if (editDistance(prefix, term) <= maxEdits) {
+        return { score: 35, ranges: [[word.index, word.index + length]] };
+      }
+    }
+  }
+  return null;
 }
 
-// Process all queued autosaves
-async function processAutosaveQueue() {
-  if (autosaveQueue.size === 0) return;
+// Edit distance counting swapped neighbours as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
 
-  const groupIds = [...autosaveQueue];
-  autosaveQueue.clear();
-  autosaveTimeout = null;
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
 
-  for (const groupId of groupIds) {
-    const group = items.find(item => item.group === groupId);
-    if (!group || !group.linkedSessionId) continue;
+// Match a searchable thing against all terms. target: { texts: [{ text, weight }],
+// urls, groups: group names, flags: { audible, duplicate, pinned } }. The first text is
+// the displayed one - its ranges are returned for highlighting.
+function matchSearchTerms(target, terms) {
+  let score = 0;
+  const ranges = [];
+
+  for (const term of terms) {
+    let termScore = null;
+    if (term.field === 'domain') {
+      termScore = target.urls.some(url => getDomain(url).includes(term.text)) ? 100 : null;
+    } else if (term.field === 'group') {
+      termScore = target.groups.some(name => name.toLowerCase().includes(term.text)) ? 100 : null;
+    } else if (term.field === 'is') {
+      termScore = target.flags[term.text] ? 100 : null;
+    } else {
+      const exact = term.phrase || term.negate;
+      target.texts.forEach(({ text, weight }, i) => {
+        const match = matchText(text, term.text, exact);
+        if (!match) return;
+        if (i === 0 && !term.negate) ranges.push(...match.ranges);
+        termScore = Math.max(termScore ?? 0, match.score * weight);
+      });
+      target.urls.forEach(url => {
+        const match = matchText(url, term.text, exact);
+        if (match) termScore = Math.max(termScore ?? 0, match.score * 0.7);
+      });
+    }
 
-    // Update the saved session
-    const sessionId = group.linkedSessionId;
-    const existingSession = savedSessions[sessionId];
-    if (!existingSession) continue;
+    if (term.negate ? termScore !== null : termScore === null) return null;
+    if (!term.negate) score += termScore;
+  }
 
-    const sessionTabs = group.tabs.map(tabId => {
-      const data = tabData[tabId];
-      return {
-        url: data?.url || '',
-        title: data?.title || 'Unknown',
-        customName: customNames[tabId] || null
-      };
-    }).filter(t => t.url);
+  return { score, ranges };
+}
 
-    savedSessions[sessionId] = {
-      ...existingSession,
-      name: group.name,
-      color: group.color,
-      autoSave: group.autoSave || false,  // Keep autoSave state in sync
-      updatedAt: Date.now(),
-      tabs: sessionTabs
-    };
-  }
+// Keep the results scoring at least SEARCH_CUTOFF of the best one. results: Map key → match
+function applySearchCutoff(results) {
+  const best = Math.max(0, ...[...results.values()].map(r => r.score));
+  [...results].forEach(([key, result]) => {
+    if (result.score < best * SEARCH_CUTOFF) results.delete(key);
+  });
+  return results;
+}
 
-  await chrome.storage.local.set({ savedSessions });
+// Match all known tabs against the search query. Returns Map tab ID → { score, ranges }.
+function searchTabs() {
+  const terms = getSearchTerms();
+  const results = new Map();
+  getAllTabIds(items).forEach(tabId => {
+    const data = tabData[tabId];
+    if (!data) return;
+
+    const title = getTabTitle(tabId);
+    const customName = customNames[tabId];
+    const match = matchSearchTerms({
+      texts: customName ? [{ text: customName, weight: 1 }, { text: title, weight: 0.9 }] : [{ text: title, weight: 1 }],
+      urls: [data.url || ''],
+      groups: getGroupPath(items, getTabGroupId(items, tabId)).map(group => group.name),
+      flags: { audible: data.audible, pinned: data.pinned, duplicate: isDuplicateTab(tabId) }
+    }, terms);
+    if (match) results.set(tabId, match);
+  });
+  return applySearchCutoff(results);
 }
 
-// Check if removed tabs affect any autosave groups
-function checkAutosaveForRemovedTabs(removedTabIds) {
-  // After removal, check which groups might need autosave
-  // The tabs are already removed, so we just trigger autosave for any autosave-enabled groups
-  items.forEach(item => {
-    if (item.group && item.autoSave && item.linkedSessionId) {
-      queueAutosave(item.group);
-    }
+// Match sessions (and trash entries) by name, sub-group names and their tabs' titles and
+// URLs. entries: [{ key, name, tabs }]. Returns Map key → { score, ranges } (ranges in name).
+function searchSessions(entries) {
+  const terms = getSearchTerms();
+  const results = new Map();
+  entries.forEach(({ key, name, tabs }) => {
+    const tabEntries = getSessionTabEntries(tabs);
+    const match = matchSearchTerms({
+      texts: [{ text: name, weight: 1 }, ...tabEntries.map(tab => ({ text: tab.customName || tab.title || '', weight: 0.8 }))],
+      urls: tabEntries.map(tab => tab.url),
+      groups: [name, ...getSessionGroupNames(tabs)],
+      flags: {}
+    }, terms);
+    if (match) results.set(key, match);
   });
+  return applySearchCutoff(results);
 }
 
-// Check if a tab matches the search query
-function tabMatchesSearch(tabId) {
-  if (!searchQuery) return true;
-  const data = tabData[tabId];
-  if (!data) return false;
+function getSessionGroupNames(tabs) {
+  return tabs.filter(isSessionGroup).flatMap(entry => [entry.name, ...getSessionGroupNames(entry.tabs)]);
+}
 
-  const title = (data.title || '').toLowerCase();
-  const url = (data.url || '').toLowerCase();
-  const customName = (customNames[tabId] || '').toLowerCase();
+function tabMatchesSearch(tabId) {
+  return !searchResults || searchResults.has(tabId);
+}
 
-  return title.includes(searchQuery) ||
-         url.includes(searchQuery) ||
-         customName.includes(searchQuery);
+// Escaped text with the ranges wrapped in <mark>
+function highlightText(text, ranges = []) {
+  const marked = new Array(text.length).fill(false);
+  ranges.forEach(([start, end]) => marked.fill(true, start, Math.min(end, text.length)));
+
+  let html = '';
+  let i = 0;
+  while (i < text.length) {
+    let j = i;
+    while (j < text.length && marked[j] === marked[i]) j++;
+    const part = escapeHtml(text.slice(i, j));
+    html += marked[i] ? `<mark>${part}</mark>` : part;
+    i = j;
+  }
+  return html;
 }
 
 function render() {
@@ -374,35 +498,33 @@ function render() {
   sortableInstances.forEach(s => s.destroy());
   sortableInstances = [];
 
+  duplicateCounts = countDuplicates();
+  searchResults = searchQuery ? searchTabs() : null;
+
   tabList.innerHTML = '';
   let visibleCount = 0;
   let matchCount = 0;
 
-  items.forEach((item, index) => {
-    if (typeof item === 'number') {
-      // Ungrouped tab
-      if (tabMatchesSearch(item)) {
-        const el = renderTab(item);
-        if (el) {
-          tabList.appendChild(el);
-          matchCount++;
-        }
-      }
-      visibleCount++;
-    } else if (item.group) {
-      // Group - filter tabs within group
-      const matchingTabs = searchQuery
-        ? item.tabs.filter(tabId => tabMatchesSearch(tabId))
-        : item.tabs;
-
-      if (matchingTabs.length > 0 || !searchQuery) {
-        const groupEl = renderGroup(item, index, matchingTabs);
-        tabList.appendChild(groupEl);
-        matchCount += matchingTabs.length;
+  if (windowView === 'sections') {
+    getWindowOrder().forEach((windowId, index) => {
+      const section = renderWindowSection(windowId, index);
+      const counts = renderItemList(section.querySelector('.window-tabs'), windowId);
+      section.querySelector('.window-count').textContent = searchQuery
+        ? `${counts.matchCount}/${counts.visibleCount}`
+        : `${counts.visibleCount}`;
+
+      // Hide windows without matches while searching
+      if (!searchQuery || counts.matchCount > 0) {
+        tabList.appendChild(section);
       }
-      visibleCount += item.tabs.length;
-    }
-  });
+      visibleCount += counts.visibleCount;
+      matchCount += counts.matchCount;
+    });
+  } else {
+    const counts = renderItemList(tabList, windowView === 'current' ? currentWindowId : null);
+    visibleCount = counts.visibleCount;
+    matchCount = counts.matchCount;
+  }
 
   // Show "no results" message when searching
   if (searchQuery && matchCount === 0) {
@@ -420,10 +542,102 @@ function render() {
     tabCount.textContent = `${visibleCount}`;
   }
 
-  // Initialize sortable on root (only when not searching)
+  document.getElementById('search-actions').classList.toggle('hidden', !searchQuery || matchCount === 0);
+}
+
+// Render root items into a list container. windowId limits the list to one window's tabs
+// (null = all windows); groups show only their tabs in that window. Archived groups have
+// no tabs - they're listed with the current window, where they also reopen.
+function renderItemList(container, windowId) {
+  const inWindow = tabId => windowId === null || tabData[tabId]?.windowId === windowId;
+  const showArchived = windowId === null || windowId === currentWindowId;
+  return renderEntries(items, container, null, inWindow, showArchived);
+}
+
+// Render a list of tabs and groups (root items or a group's tabs) into container
+function renderEntries(list, container, groupId, inWindow, showArchived) {
+  let visibleCount = 0;
+  let matchCount = 0;
+
+  list.forEach(entry => {
+    if (typeof entry === 'number') {
+      // Ungrouped tab
+      if (!inWindow(entry)) return;
+      if (tabMatchesSearch(entry)) {
+        const el = renderTab(entry);
+        if (el) {
+          container.appendChild(el);
+          matchCount++;
+        }
+      }
+      visibleCount++;
+    } else if (entry.archived) {
+      if (showArchived && !searchQuery) container.appendChild(renderArchivedGroup(entry));
+    } else if (entry.group) {
+      const windowTabs = getAllTabIds(entry.tabs).filter(inWindow);
+      const hasArchived = showArchived && getAllGroups(entry.tabs).some(g => g.archived);
+      if (windowTabs.length === 0 && (!hasArchived || searchQuery)) return;
+
+      // Group - filter tabs within group (and its sub-groups)
+      const matchingTabs = searchQuery
+        ? windowTabs.filter(tabId => tabMatchesSearch(tabId))
+        : windowTabs;
+
+      if (matchingTabs.length > 0 || !searchQuery) {
+        const groupEl = renderGroup(entry, matchingTabs, inWindow, showArchived);
+        container.appendChild(groupEl);
+        matchCount += matchingTabs.length;
+      }
+      visibleCount += windowTabs.length;
+    }
+  });
+
+  // Initialize sortable (only when not searching)
   if (!searchQuery) {
-    initSortable(tabList, null);
+    initSortable(container, groupId);
   }
+
+  return { visibleCount, matchCount };
+}
+
+// Windows in the order their first tab appears in the custom order
+function getWindowOrder() {
+  const windowIds = [];
+  getAllTabIds(items).forEach(tabId => {
+    const windowId = tabData[tabId]?.windowId;
+    if (windowId !== undefined && !windowIds.includes(windowId)) {
+      windowIds.push(windowId);
+    }
+  });
+  return windowIds;
+}
+
+function renderWindowSection(windowId, index) {
+  const section = document.createElement('div');
+  section.className = 'window-section';
+  if (collapsedWindows.has(windowId)) section.classList.add('collapsed');
+  section.dataset.windowId = windowId;
+
+  const isCurrent = windowId === currentWindowId;
+  section.innerHTML = `
+    <div class="window-header">
+      <span class="window-chevron">▾</span>
+      <span class="window-name">Window ${index + 1}${isCurrent ? ' <span class="window-current">(this window)</span>' : ''}</span>
+      <span class="window-count"></span>
+    </div>
+    <div class="window-tabs"></div>
+  `;
+
+  section.querySelector('.window-header').addEventListener('click', () => {
+    if (collapsedWindows.has(windowId)) {
+      collapsedWindows.delete(windowId);
+    } else {
+      collapsedWindows.add(windowId);
+    }
+    section.classList.toggle('collapsed');
+  });
+
+  return section;
 }
 
 function renderTab(tabId) {
@@ -435,16 +649,28 @@ function renderTab(tabId) {
   if (data.active) item.classList.add('active');
   if (selectedTabs.has(tabId)) item.classList.add('selected');
   if (keyboardFocusedTabId === tabId) item.classList.add('keyboard-focused');
+  if (data.discarded) item.classList.add('discarded');
+  if (data.loading) item.classList.add('loading');
+  const unusedDays = getStaleDays(tabId, data);
+  if (unusedDays !== null) item.classList.add('stale');
   item.dataset.tabId = tabId;
 
+  const title = getTabTitle(tabId);
   const faviconSrc = data.favIconUrl || `chrome-extension://${chrome.runtime.id}/icons/icon-16.png`;
-  const displayTitle = customNames[tabId] || data.title;
+  const displayTitle = customNames[tabId] || title;
   const hasCustomName = !!customNames[tabId];
+  let tooltip = data.discarded ? `${title} (not loaded - loads when opened)` : title;
+  if (unusedDays !== null) tooltip += ` - not used for ${unusedDays} day${unusedDays === 1 ? '' : 's'}`;
+  const copies = isDuplicateTab(tabId) ? duplicateCounts.get(getTabDuplicateKey(tabId)) : 0;
+  const isProtected = isTabProtected(items, protectedTabs, tabId);
 
   item.innerHTML = `
     <img class="favicon" src="${escapeAttr(faviconSrc)}" alt="" draggable="false">
-    <span class="title${hasCustomName ? ' custom-name' : ''}" title="${escapeAttr(data.title)}">${escapeHtml(displayTitle)}</span>
-    <button class="close-btn" title="Close tab" aria-label="Close tab">&times;</button>
+    <span class="title${hasCustomName ? ' custom-name' : ''}" title="${escapeAttr(tooltip)}">${highlightText(displayTitle, searchResults?.get(tabId)?.ranges)}</span>
+    ${copies ? `<span class="duplicate-badge" title="Open ${copies} times">${copies}×</span>` : ''}
+    ${isProtected
+      ? '<span class="protected-badge" title="Protected from closing">🔒</span>'
+      : '<button class="close-btn" title="Close tab" aria-label="Close tab">&times;</button>'}
   `;
 
   const favicon = item.querySelector('.favicon');
@@ -453,65 +679,115 @@ function renderTab(tabId) {
   });
 
   item.addEventListener('click', (e) => handleTabClick(e, tabId, data));
-  item.querySelector('.close-btn').addEventListener('click', async (e) => {
+  item.querySelector('.close-btn')?.addEventListener('click', async (e) => {
     e.stopPropagation();
-    await chrome.tabs.remove(tabId);
+    await closeTabs([tabId]);
   });
 
   return item;
 }
 
-function renderGroup(group, itemIndex, filteredTabs = null) {
-  const tabsToRender = filteredTabs || group.tabs;
+// Whole days since the tab was used, or null if it isn't stale (see Stale Tabs in shared.js)
+function getStaleDays(tabId, data) {
+  const lastUsed = getLastUsed(tabRecords[tabId]);
+  if (!staleDays || !lastUsed || isStaleExempt(data) || isTabProtected(items, protectedTabs, tabId)) return null;
+
+  const days = Math.floor((Date.now() - lastUsed) / (24 * 60 * 60 * 1000));
+  return days >= staleDays ? days : null;
+}
+
+// filteredTabs: the group's tabs (at any depth) that are shown - window and search filtered
+function renderGroup(group, filteredTabs, inWindow, showArchived) {
+  const groupTabIds = getAllTabIds(group.tabs);
+
+  // Search results are always shown, even inside collapsed groups
+  const isCollapsed = group.collapsed && !searchQuery;
 
   const container = document.createElement('div');
   container.className = 'group-container';
+  if (isCollapsed) container.classList.add('collapsed');
+  if (isCollapsed && groupTabIds.some(id => tabData[id]?.active)) container.classList.add('contains-active');
   container.dataset.groupId = group.group;
   container.style.setProperty('--group-color', group.color);
 
-  // Group header - show filtered count if searching
+  // Group header - show filtered count if searching, tab count if collapsed
   const header = document.createElement('div');
   header.className = 'group-header';
-  const countDisplay = filteredTabs && filteredTabs.length !== group.tabs.length
-    ? `${filteredTabs.length}/${group.tabs.length}`
+  let countDisplay = filteredTabs.length !== groupTabIds.length
+    ? `${filteredTabs.length}/${groupTabIds.length}`
     : '';
+  if (isCollapsed && !countDisplay) countDisplay = `${filteredTabs.length}`;
   header.innerHTML = `
+    <span class="group-chevron">▾</span>
     <span class="group-color-dot" style="background: ${group.color}"></span>
     <span class="group-name">${escapeHtml(group.name)}${countDisplay ? ` <span class="group-filter-count">(${countDisplay})</span>` : ''}</span>
-    <button class="group-close-btn" title="Close all tabs in group">&times;</button>
+    ${group.protected
+      ? '<span class="protected-badge" title="Protected from closing">🔒</span>'
+      : `<button class="group-close-btn" title="Close all tabs in group">&times;</button>`}
   `;
 
   header.addEventListener('contextmenu', (e) => {
     e.preventDefault();
+    e.stopPropagation();  // Don't open the menu of an enclosing group
     showGroupContextMenu(e.clientX, e.clientY, group);
   });
 
-  header.querySelector('.group-close-btn').addEventListener('click', async (e) => {
+  header.addEventListener('click', async () => {
+    await toggleGroupCollapsed(group.group);
+  });
+
+  header.querySelector('.group-close-btn')?.addEventListener('click', async (e) => {
     e.stopPropagation();
-    await chrome.tabs.remove([...group.tabs]);  // Copy array to avoid mutation issues
+    await closeTabs(groupTabIds);
   });
 
   container.appendChild(header);
+  if (isCollapsed) return container;
 
-  // Group tabs container
+  // Group tabs container - tabs and sub-groups
   const tabsContainer = document.createElement('div');
   tabsContainer.className = 'group-tabs';
   tabsContainer.dataset.groupId = group.group;
 
-  tabsToRender.forEach(tabId => {
-    const el = renderTab(tabId);
-    if (el) {
-      tabsContainer.appendChild(el);
-    }
-  });
+  renderEntries(group.tabs, tabsContainer, group.group, inWindow, showArchived);
 
   container.appendChild(tabsContainer);
 
-  // Initialize sortable on group tabs (only when not searching)
-  if (!searchQuery) {
-    initSortable(tabsContainer, group.group);
-  }
+  return container;
+}
+
+// Collapsed placeholder of an archived group - clicking it reopens the tabs in its place
+function renderArchivedGroup(group) {
+  const tabCount = getSessionTabEntries(savedSessions[group.linkedSessionId]?.tabs || []).length;
+
+  const container = document.createElement('div');
+  container.className = 'group-container collapsed archived';
+  container.dataset.groupId = group.group;
+  container.style.setProperty('--group-color', group.color);
+
+  const header = document.createElement('div');
+  header.className = 'group-header';
+  header.title = 'Archived - click to reopen the tabs';
+  header.innerHTML = `
+    <span class="group-archive-icon">⤓</span>
+    <span class="group-color-dot" style="background: ${group.color}"></span>
+    <span class="group-name">${escapeHtml(group.name)} <span class="group-filter-count">(${tabCount} archived)</span></span>
+  `;
+
+  header.addEventListener('click', async () => {
+    await unarchiveGroup(group.group);
+  });
+
+  header.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showChoiceMenu(e.clientX, e.clientY, group.name, [
+      { label: 'Reopen tabs', run: () => unarchiveGroup(group.group) },
+      { label: 'Remove placeholder', run: () => dissolveGroup(group.group) }
+    ]);
+  });
 
+  container.appendChild(header);
   return container;
 }
 
@@ -520,7 +796,7 @@ async function handleTabClick(e, tabId, data) {
 
   if (e.shiftKey && lastClickedTab !== null) {
     // Range selection
-    const allTabIds = getAllTabIds();
+    const allTabIds = getAllTabIds(items);
     const startIdx = allTabIds.indexOf(lastClickedTab);
     const endIdx = allTabIds.indexOf(tabId);
     if (startIdx !== -1 && endIdx !== -1) {
@@ -584,209 +860,275 @@ function initSortable(container, groupId) {
     ghostClass: 'sortable-ghost',
     chosenClass: 'sortable-chosen',
     dragClass: 'sortable-drag',
-    draggable: groupId === null ? '.tab-item, .group-container' : '.tab-item',
+    draggable: '.tab-item, .group-container',  // Groups can be dropped into groups (sub-groups)
+    filter: '.group-tabs',  // Tabs of a nested group are dragged by that group's own instance
     onEnd: async (evt) => {
-      await handleDragEnd(evt, groupId);
+      await handleDragEnd(evt);
     }
   };
 
-  // Only filter .group-tabs on root container (prevent dragging the container itself)
-  if (groupId === null) {
-    options.filter = '.group-tabs';
-  }
-
   const sortable = new Sortable(container, options);
   sortableInstances.push(sortable);
 }
 
-async function handleDragEnd(evt, sourceGroupId) {
+async function handleDragEnd(evt) {
   const draggedEl = evt.item;
   const toContainer = evt.to;
-  const newIndex = evt.newIndex;
+  const toWindowId = getContainerWindowId(toContainer);
+  const toGroupId = toContainer.dataset.groupId || null;
 
   // Check if dragging a group
   if (draggedEl.classList.contains('group-container')) {
     const groupId = draggedEl.dataset.groupId;
-    const group = items.find(item => item.group === groupId);
-    if (group) {
-      // Remove group from old position
-      items = items.filter(item => item.group !== groupId);
-      // Insert at new position
-      items.splice(newIndex, 0, group);
-      await saveItems();
-      render();
-    }
+    const group = findGroup(items, groupId);
+    if (!group) return;
+
+    // Dropped into another window's section - move the group's tabs there
+    if (toWindowId !== null) await moveTabsToWindow(getAllTabIds(group.tabs), toWindowId);
+
+    const targetList = toGroupId ? findGroup(items, toGroupId)?.tabs || [] : items;
+    const index = getDropIndex(draggedEl, targetList.filter(entry => entry.group !== groupId));
+    await sendCommand('move-group', { groupId, toGroupId, index });
     return;
   }
 
   // Dragging a tab
   const tabId = parseInt(draggedEl.dataset.tabId);
-  const toGroupId = toContainer.dataset.groupId || null;
+  let tabIds = [tabId];
 
   // Check if dragging selected tabs (multi-drag)
   if (selectedTabs.has(tabId) && selectedTabs.size > 1) {
-    await handleMultiDrag(Array.from(selectedTabs), toGroupId, newIndex);
-    return;
+    // Get tabs in their current visual order
+    const allTabIds = getAllTabIds(items);
+    tabIds = Array.from(selectedTabs).sort((a, b) => allTabIds.indexOf(a) - allTabIds.indexOf(b));
+    selectedTabs.clear();
   }
 
-  // Single tab drag
-  removeTabFromItems(tabId);
+  if (toWindowId !== null) await moveTabsToWindow(tabIds, toWindowId);
 
-  // Add to new location
-  if (toGroupId) {
-    // Moving into a group
-    const group = items.find(item => item.group === toGroupId);
-    if (group) {
-      group.tabs.splice(newIndex, 0, tabId);
-    }
-  } else {
-    // Moving to root level
-    items.splice(newIndex, 0, tabId);
-  }
+  const targetList = toGroupId ? findGroup(items, toGroupId)?.tabs || [] : items;
+  const index = getDropIndex(draggedEl, targetList.filter(entry => !tabIds.includes(entry)));
+  await sendCommand('move-tabs', { tabIds, toGroupId, index });
+}
 
-  await saveItems();
-  render();
+// Translate where an element was dropped into an index in the full list (items or a
+// group's tabs, without the moved entries). Containers may only show part of the list
+// (window view, collapsed groups), so the nearest rendered neighbours are the anchors.
+function getDropIndex(el, list) {
+  const indexOf = sibling => {
+    const key = sibling.classList.contains('group-container')
+      ? sibling.dataset.groupId
+      : parseInt(sibling.dataset.tabId);
+    return list.findIndex(entry => entry === key || (entry.group && entry.group === key));
+  };
 
-  // Trigger autosave for affected groups
-  if (sourceGroupId) queueAutosave(sourceGroupId);
-  if (toGroupId && toGroupId !== sourceGroupId) queueAutosave(toGroupId);
+  for (let prev = el.previousElementSibling; prev; prev = prev.previousElementSibling) {
+    const idx = indexOf(prev);
+    if (idx !== -1) return idx + 1;
+  }
+  for (let next = el.nextElementSibling; next; next = next.nextElementSibling) {
+    const idx = indexOf(next);
+    if (idx !== -1) return idx;
+  }
+  return list.length;
 }
 
-async function handleMultiDrag(tabIds, toGroupId, insertIndex) {
-  // Get tabs in their current visual order
-  const allTabIds = getAllTabIds();
-  const orderedTabIds = tabIds.sort((a, b) => allTabIds.indexOf(a) - allTabIds.indexOf(b));
+// Window ID of the section a list container belongs to (null outside the sections view)
+function getContainerWindowId(container) {
+  const section = container.closest('.window-section');
+  return section ? parseInt(section.dataset.windowId) : null;
+}
 
-  // Track source groups before removal
-  const sourceGroupIds = new Set();
-  orderedTabIds.forEach(id => {
-    const groupId = getTabGroupId(id);
-    if (groupId) sourceGroupIds.add(groupId);
-  });
+async function moveTabsToWindow(tabIds, windowId) {
+  const toMove = tabIds.filter(id => tabData[id] && tabData[id].windowId !== windowId);
+  if (toMove.length === 0) return;
 
-  // Remove all selected tabs from their current positions
-  orderedTabIds.forEach(id => removeTabFromItems(id));
+  try {
+    await chrome.tabs.move(toMove, { windowId, index: -1 });
+    toMove.forEach(id => {
+      tabData[id].windowId = windowId;
+    });
+  } catch (e) {
+    console.error('Independent Tabs: moving tabs to window failed:', e);
+  }
+}
 
-  // Insert all tabs at the drop position
-  if (toGroupId) {
-    // Moving into a group
-    const group = items.find(item => item.group === toGroupId);
-    if (group) {
-      // Adjust insert index based on how many tabs were above it
-      group.tabs.splice(insertIndex, 0, ...orderedTabIds);
-    }
-  } else {
-    // Moving to root level
-    items.splice(insertIndex, 0, ...orderedTabIds);
+// Open a new window with the tabs (in your custom order)
+async function moveTabsToNewWindow(tabIds) {
+  const [first, ...rest] = tabIds.filter(id => tabData[id]);
+  if (first === undefined) return;
+
+  try {
+    const win = await chrome.windows.create({ tabId: first, focused: false });
+    tabData[first].windowId = win.id;
+    await moveTabsToWindow(rest, win.id);
+  } catch (e) {
+    console.error('Independent Tabs: moving tabs to a new window failed:', e);
   }
+}
 
-  await saveItems();
-  selectedTabs.clear();
-  render();
+// Choices for showChoiceMenu: every window (numbered as in the sections view) and a new one
+// (windowId null)
+function getMoveWindowChoices(tabIds) {
+  const choices = getWindowOrder().map((windowId, index) => ({
+    windowId,
+    label: `Window ${index + 1}${windowId === currentWindowId ? ' (this window)' : ''}`,
+    run: () => moveTabsToWindow(tabIds, windowId)
+  }));
+  choices.push({ windowId: null, label: 'New window', run: () => moveTabsToNewWindow(tabIds) });
+  return choices;
+}
 
-  // Trigger autosave for all affected groups
-  sourceGroupIds.forEach(groupId => queueAutosave(groupId));
-  if (toGroupId) queueAutosave(toGroupId);
+async function createGroup(tabIds, name = 'New Group') {
+  selectedTabs.clear();
+  await sendCommand('create-group', { tabIds, name });
 }
 
-function removeTabFromItems(tabId) {
-  for (let i = 0; i < items.length; i++) {
-    if (items[i] === tabId) {
-      items.splice(i, 1);
-      return;
-    }
-    if (items[i].group) {
-      const idx = items[i].tabs.indexOf(tabId);
-      if (idx !== -1) {
-        items[i].tabs.splice(idx, 1);
-        // Remove empty group
-        if (items[i].tabs.length === 0) {
-          items.splice(i, 1);
-        }
-        return;
-      }
-    }
+// Protected tabs are left out when closing several tabs - a protected tab on its own is
+// closed after asking
+async function closeTabs(tabIds) {
+  const protectedIds = getProtectedTabIds(items, protectedTabs, tabIds);
+
+  if (tabIds.length === 1 && protectedIds.length === 1) {
+    if (!confirm(`"${customNames[tabIds[0]] || getTabTitle(tabIds[0])}" is protected. Close it anyway?`)) return;
+    await sendCommand('close-tabs', { tabIds, force: true });
+    return;
   }
+
+  if (protectedIds.length > 0) {
+    tabIds = tabIds.filter(id => !protectedIds.includes(id));
+    showToast(`${protectedIds.length} protected tab${protectedIds.length === 1 ? '' : 's'} left open`);
+    if (tabIds.length === 0) return;
+  }
+  await sendCommand('close-tabs', { tabIds });
 }
 
-function getNextGroupColor() {
-  const usedColors = items.filter(i => i.group).map(g => g.color);
-  for (const color of GROUP_COLORS) {
-    if (!usedColors.includes(color)) return color;
+// A protected group closes with all its tabs after asking, others leave protected tabs open
+async function closeGroupTabs(group) {
+  const tabIds = getAllTabIds(group.tabs);
+  if (!group.protected) {
+    await closeTabs(tabIds);
+    return;
   }
-  return GROUP_COLORS[Math.floor(Math.random() * GROUP_COLORS.length)];
+
+  if (!confirm(`"${group.name}" is protected. Close all its tabs anyway?`)) return;
+  await sendCommand('close-tabs', { tabIds, force: true });
 }
 
-function generateGroupId() {
-  return 'g' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+// Archiving or snoozing protected tabs asks first. Returns false if the user backs out.
+function confirmProtectedTabs(tabIds, action) {
+  const count = getProtectedTabIds(items, protectedTabs, tabIds).length;
+  if (count === 0) return true;
+  return confirm(`${count === 1 ? '1 tab is' : `${count} tabs are`} protected. ${action} anyway?`);
 }
 
-async function createGroup(tabIds, name = 'New Group') {
-  const color = getNextGroupColor();
-  const group = {
-    group: generateGroupId(),
-    name: name,
-    color: color,
-    tabs: []
-  };
+async function protectTabs(tabIds, protect) {
+  await sendCommand('protect-tabs', { tabIds, protect });
+}
 
-  // Find insertion point (position of first selected tab)
-  let insertIndex = items.length;
-  for (const tabId of tabIds) {
-    for (let i = 0; i < items.length; i++) {
-      if (items[i] === tabId) {
-        insertIndex = Math.min(insertIndex, i);
-        break;
-      }
-    }
-  }
+async function ungroupTab(tabId) {
+  await sendCommand('ungroup-tab', { tabId });
+}
 
-  // Remove tabs from current positions and add to group
-  tabIds.forEach(tabId => {
-    removeTabFromItems(tabId);
-    group.tabs.push(tabId);
-  });
+async function dissolveGroup(groupId) {
+  await sendCommand('dissolve-group', { groupId });
+}
+
+// Save the group to its session and close its tabs, leaving a placeholder in the list
+async function archiveGroup(groupId) {
+  const group = findGroup(items, groupId);
+  if (!group || !confirmProtectedTabs(getAllTabIds(group.tabs), 'Archive the group')) return;
+  await sendCommand('archive-group', { groupId, force: true });
+}
 
-  // Insert group at the position of first tab
-  items.splice(insertIndex, 0, group);
+async function unarchiveGroup(groupId) {
+  const createdTabIds = await sendCommand('unarchive-group', { groupId });
+  if (createdTabIds?.length > 0) await chrome.tabs.update(createdTabIds[0], { active: true });
+}
 
-  await saveItems();
-  selectedTabs.clear();
-  render();
+async function updateGroup(groupId, changes) {
+  await sendCommand('update-group', { groupId, changes });
+}
+
+async function promptRenameGroup(group) {
+  const newName = prompt('Enter group name:', group.name);
+  if (newName && newName.trim()) {
+    await updateGroup(group.group, { name: newName.trim() });
+  }
+}
+
+// Color swatches below the group's header (or the top of the list if it isn't shown)
+function pickGroupColor(group) {
+  const anchorEl = document.querySelector(`[data-group-id="${group.group}"]`) || document.getElementById('tab-list');
+  showColorPicker(anchorEl, color => updateGroup(group.group, { color }));
 }
 
-async function ungroupTab(tabId, groupId) {
-  const groupIndex = items.findIndex(item => item.group === groupId);
-  if (groupIndex === -1) return;
+async function toggleGroupCollapsed(groupId, collapsed) {
+  const group = findGroup(items, groupId);
+  if (!group) return;
 
-  const group = items[groupIndex];
-  const tabIndex = group.tabs.indexOf(tabId);
-  if (tabIndex === -1) return;
+  collapsed = collapsed ?? !group.collapsed;
+  if (!!group.collapsed === collapsed) return;
+  await updateGroup(groupId, { collapsed });
+}
 
-  group.tabs.splice(tabIndex, 1);
+// Move a sub-group one level up, right after its parent group
+async function moveGroupOutOfParent(groupId) {
+  const path = getGroupPath(items, groupId);
+  if (path.length < 2) return;
 
-  // Insert tab after the group
-  items.splice(groupIndex + 1, 0, tabId);
+  const parentLocation = findLocation(items, path[path.length - 2].group);
+  await sendCommand('move-group', {
+    groupId,
+    toGroupId: parentLocation.parent ? parentLocation.parent.group : null,
+    index: parentLocation.index + 1
+  });
+}
 
-  // Remove empty group
-  if (group.tabs.length === 0) {
-    items.splice(groupIndex, 1);
+// Expand a group and every group around it
+async function expandGroupPath(groupId) {
+  for (const group of getGroupPath(items, groupId)) {
+    await toggleGroupCollapsed(group.group, false);
   }
+}
 
-  await saveItems();
-  render();
+// Undo / Redo
+// The service worker keeps the history; undoable commands answer with a label for the toast
+
+const TOAST_DURATION = 6000;
+let toastTimeout = null;
+
+async function undo() {
+  const label = await sendCommand('undo');
+  if (label) showToast(`Undone: ${label}`, 'Redo', redo);
 }
 
-async function dissolveGroup(groupId) {
-  const groupIndex = items.findIndex(item => item.group === groupId);
-  if (groupIndex === -1) return;
+async function redo() {
+  const label = await sendCommand('redo');
+  if (label) showToast(`Redone: ${label}`, 'Undo', undo);
+}
+
+// Transient message, optionally with an action button (e.g. Undo)
+function showToast(message, actionLabel = null, action = null) {
+  const toast = document.getElementById('toast');
+  toast.innerHTML = `
+    <span class="toast-message">${escapeHtml(message)}</span>
+    ${actionLabel ? `<button class="toast-action">${escapeHtml(actionLabel)}</button>` : ''}
+  `;
+  toast.querySelector('.toast-action')?.addEventListener('click', async () => {
+    hideToast();
+    await action();
+  });
+  toast.classList.remove('hidden');
 
-  const group = items[groupIndex];
-  // Replace group with its tabs
-  items.splice(groupIndex, 1, ...group.tabs);
+  if (toastTimeout) clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(hideToast, TOAST_DURATION);
+}
 
-  await saveItems();
-  render();
+function hideToast() {
+  document.getElementById('toast').classList.add('hidden');
+  if (toastTimeout) clearTimeout(toastTimeout);
+  toastTimeout = null;
 }
 
 function escapeHtml(text) {
@@ -813,6 +1155,12 @@ function setupContextMenu() {
       return;
     }
 
+    // Empty space (or a window section header) - actions on the whole list
+    if (!tabItem && !e.target.closest('.group-container')) {
+      showListContextMenu(e.clientX, e.clientY);
+      return;
+    }
+
     if (tabItem) {
       const tabId = parseInt(tabItem.dataset.tabId);
 
@@ -838,7 +1186,7 @@ function showTabContextMenu(x, y, tabId) {
   menu.className = 'context-menu';
 
   const hasCustomName = !!customNames[tabId];
-  const tabGroupId = getTabGroupId(tabId);
+  const tabGroupId = getTabGroupId(items, tabId);
   const multipleSelected = selectedTabs.size > 1;
 
   let menuHtml = '';
@@ -848,9 +1196,20 @@ function showTabContextMenu(x, y, tabId) {
       <button class="context-menu-item" data-action="group-selected">
         Group ${selectedTabs.size} tabs
       </button>
+      <button class="context-menu-item" data-action="snooze">
+        Snooze ${selectedTabs.size} tabs...
+      </button>
+      <button class="context-menu-item" data-action="protect-selected">
+        ${[...selectedTabs].every(id => protectedTabs[id]) ? 'Unprotect' : 'Protect'} ${selectedTabs.size} tabs
+      </button>
       <button class="context-menu-item" data-action="close-selected">
         Close ${selectedTabs.size} tabs
       </button>
+      ${getDuplicateTabIds([...selectedTabs]).length > 0 ? `
+      <button class="context-menu-item" data-action="close-selected-duplicates">
+        Close duplicates in selection
+      </button>
+      ` : ''}
     `;
   } else {
     menuHtml = `
@@ -863,19 +1222,29 @@ function showTabContextMenu(x, y, tabId) {
       </button>
       ` : ''}
       <div class="context-menu-separator"></div>
+      <button class="context-menu-item" data-action="create-group">
+        ${tabGroupId ? 'Create sub-group' : 'Create group'}
+      </button>
       ${tabGroupId ? `
       <button class="context-menu-item" data-action="ungroup">
         Remove from group
       </button>
-      ` : `
-      <button class="context-menu-item" data-action="create-group">
-        Create group
-      </button>
-      `}
+      ` : ''}
       <div class="context-menu-separator"></div>
+      <button class="context-menu-item" data-action="protect">
+        ${protectedTabs[tabId] ? 'Unprotect tab' : 'Protect tab'}
+      </button>
+      <button class="context-menu-item" data-action="snooze">
+        Snooze tab...
+      </button>
       <button class="context-menu-item" data-action="close">
         Close tab
       </button>
+      ${isDuplicateTab(tabId) ? `
+      <button class="context-menu-item" data-action="close-copies">
+        Close other copies
+      </button>
+      ` : ''}
     `;
   }
 
@@ -897,24 +1266,41 @@ function showTabContextMenu(x, y, tabId) {
         await promptRename(tabId);
         break;
       case 'reset-name':
-        delete customNames[tabId];
-        await chrome.storage.local.set({ customNames });
-        render();
+        await sendCommand('rename-tab', { tabId, name: null });
         break;
       case 'close':
-        await chrome.tabs.remove(tabId);
+        await closeTabs([tabId]);
         break;
+      case 'protect':
+        await protectTabs([tabId], !protectedTabs[tabId]);
+        break;
+      case 'protect-selected': {
+        const tabIds = [...selectedTabs];
+        await protectTabs(tabIds, !tabIds.every(id => protectedTabs[id]));
+        break;
+      }
       case 'create-group':
         await createGroup([tabId]);
         break;
       case 'ungroup':
-        await ungroupTab(tabId, tabGroupId);
+        await ungroupTab(tabId);
         break;
       case 'group-selected':
         await createGroup(Array.from(selectedTabs));
         break;
       case 'close-selected':
-        await chrome.tabs.remove(Array.from(selectedTabs));
+        await closeTabs(Array.from(selectedTabs));
+        break;
+      case 'snooze':
+        showSnoozeMenu(parseFloat(menu.style.left), parseFloat(menu.style.top),
+          multipleSelected ? 'Snooze tabs until' : 'Snooze tab until',
+          wakeAt => snoozeTabs(multipleSelected ? getAllTabIds(items).filter(id => selectedTabs.has(id)) : [tabId], wakeAt));
+        break;
+      case 'close-selected-duplicates':
+        await closeDuplicates(Array.from(selectedTabs));
+        break;
+      case 'close-copies':
+        await closeTabs(getTabCopies(tabId).filter(id => id !== tabId));
         break;
     }
   });
@@ -929,6 +1315,7 @@ function showGroupContextMenu(x, y, group) {
 
   const hasSavedSession = !!group.linkedSessionId;
   const hasAutoSave = group.autoSave === true;
+  const parentGroup = getGroupPath(items, group.group).slice(-2, -1)[0] || null;
 
   menu.innerHTML = `
     <button class="context-menu-item" data-action="save-session">
@@ -949,10 +1336,38 @@ function showGroupContextMenu(x, y, group) {
     <button class="context-menu-item" data-action="change-color">
       Change color
     </button>
+    <button class="context-menu-item" data-action="sort-tabs">
+      Sort tabs...
+    </button>
+    <button class="context-menu-item" data-action="keep-sorted">
+      Keep sorted: ${group.keepSorted ? `✓ ${escapeHtml(getSortOrderLabel(group.keepSorted))}` : 'off'}
+    </button>
+    <button class="context-menu-item" data-action="stale-policy">
+      Unused tabs: ${group.stalePolicy ? getStalePolicyLabel(group.stalePolicy) : 'As in Settings'}
+    </button>
     <div class="context-menu-separator"></div>
+    ${parentGroup ? `
+    <button class="context-menu-item" data-action="move-out">
+      Move out of "${escapeHtml(parentGroup.name)}"
+    </button>
+    ` : ''}
     <button class="context-menu-item" data-action="ungroup-all">
       Ungroup all
     </button>
+    <button class="context-menu-item" data-action="archive-group">
+      Archive group
+    </button>
+    <button class="context-menu-item" data-action="snooze-group">
+      Snooze group...
+    </button>
+    <button class="context-menu-item" data-action="protect-group">
+      ${group.protected ? 'Unprotect group' : 'Protect group'}
+    </button>
+    ${getDuplicateTabIds(getAllTabIds(group.tabs)).length > 0 ? `
+    <button class="context-menu-item" data-action="close-group-duplicates">
+      Close duplicates
+    </button>
+    ` : ''}
     <button class="context-menu-item" data-action="close-group">
       Close all tabs
     </button>
@@ -979,33 +1394,152 @@ function showGroupContextMenu(x, y, group) {
         await saveGroupAsNewSession(group);
         break;
       case 'toggle-autosave':
-        group.autoSave = !group.autoSave;
-        await saveItems();
-        render();
+        await updateGroup(group.group, { autoSave: !group.autoSave });
         break;
       case 'rename-group':
-        const newName = prompt('Enter group name:', group.name);
-        if (newName && newName.trim()) {
-          group.name = newName.trim();
-          await saveItems();
-          render();
-          queueAutosave(group.group);
-        }
+        await promptRenameGroup(group);
         break;
       case 'change-color':
-        showColorPicker(group);
+        pickGroupColor(group);
+        break;
+      case 'sort-tabs':
+        showSortMenu(parseFloat(menu.style.left), parseFloat(menu.style.top), group.group);
+        break;
+      case 'keep-sorted':
+        showKeepSortedMenu(parseFloat(menu.style.left), parseFloat(menu.style.top), group);
+        break;
+      case 'stale-policy':
+        showStalePolicyMenu(parseFloat(menu.style.left), parseFloat(menu.style.top), group);
+        break;
+      case 'move-out':
+        await moveGroupOutOfParent(group.group);
         break;
       case 'ungroup-all':
         await dissolveGroup(group.group);
         break;
+      case 'archive-group':
+        await archiveGroup(group.group);
+        break;
+      case 'snooze-group':
+        showSnoozeMenu(parseFloat(menu.style.left), parseFloat(menu.style.top), 'Snooze group until',
+          wakeAt => snoozeGroup(group.group, wakeAt));
+        break;
+      case 'close-group-duplicates':
+        await closeDuplicates(getAllTabIds(group.tabs));
+        break;
       case 'close-group':
-        await chrome.tabs.remove([...group.tabs]);
+        await closeGroupTabs(group);
+        break;
+      case 'protect-group':
+        await updateGroup(group.group, { protected: group.protected ? null : true });
+        break;
+    }
+  });
+}
+
+// Stale Tabs (see Stale Tabs in shared.js) - a group's own unload/close policy
+
+const STALE_POLICIES = [
+  {},
+  { discardHours: 1 },
+  { discardHours: 4 },
+  { discardHours: 24 },
+  { closeDays: 1 },
+  { closeDays: 7 },
+  { closeDays: 30 }
+];
+
+function getStalePolicyLabel({ discardHours, closeDays }) {
+  if (closeDays) return `Close after ${closeDays} day${closeDays === 1 ? '' : 's'}`;
+  if (discardHours) return `Unload after ${discardHours} hour${discardHours === 1 ? '' : 's'}`;
+  return 'Never unload or close';
+}
+
+function showStalePolicyMenu(x, y, group) {
+  const current = JSON.stringify(group.stalePolicy);
+  const choices = STALE_POLICIES.map(policy => ({
+    label: `${JSON.stringify(policy) === current ? '✓ ' : ''}${getStalePolicyLabel(policy)}`,
+    run: () => updateGroup(group.group, { stalePolicy: policy })
+  }));
+  choices.unshift({ label: `${group.stalePolicy ? '' : '✓ '}As in Settings`, run: () => updateGroup(group.group, { stalePolicy: null }) });
+  showChoiceMenu(x, y, 'Tabs unused for a while', choices);
+}
+
+// Where menus opened without a click (e.g. from the command palette) go
+function getListMenuPosition() {
+  const rect = document.getElementById('tab-list').getBoundingClientRect();
+  return { x: rect.left + 16, y: rect.top + 16 };
+}
+
+// Sorting (see Sorting in service-worker.js) - groupId null sorts the ungrouped tabs
+
+function getSortOrderLabel(by) {
+  return TAB_SORT_ORDERS.find(order => order.id === by)?.label || by;
+}
+
+function sortTabs(groupId, by) {
+  return sendCommand('sort-tabs', { groupId, by });
+}
+
+// Menu for empty space in the list: sort the root list, close duplicates among all tabs
+function showListContextMenu(x, y) {
+  hideContextMenu();
+
+  const menu = document.createElement('div');
+  menu.id = 'context-menu';
+  menu.className = 'context-menu';
+
+  const duplicateCount = getDuplicateTabIds().length;
+  menu.innerHTML = `
+    <button class="context-menu-item" data-action="sort-root">
+      Sort ungrouped tabs...
+    </button>
+    <button class="context-menu-item" data-action="close-duplicates">
+      ${duplicateCount > 0 ? `Close ${duplicateCount} duplicate tab${duplicateCount === 1 ? '' : 's'}` : 'Close duplicates'}
+    </button>
+  `;
+
+  menu.style.left = `${x}px`;
+  menu.style.top = `${y}px`;
+  document.body.appendChild(menu);
+
+  adjustMenuPosition(menu);
+
+  menu.addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+    if (!action) return;
+
+    hideContextMenu();
+
+    switch (action) {
+      case 'sort-root':
+        showSortMenu(parseFloat(menu.style.left), parseFloat(menu.style.top), null);
+        break;
+      case 'close-duplicates':
+        await closeDuplicates();
         break;
     }
   });
 }
 
-function showColorPicker(group) {
+function showSortMenu(x, y, groupId) {
+  showChoiceMenu(x, y, groupId ? 'Sort tabs by' : 'Sort ungrouped tabs by', TAB_SORT_ORDERS.map(order => ({
+    label: order.label,
+    run: () => sortTabs(groupId, order.id)
+  })));
+}
+
+function showKeepSortedMenu(x, y, group) {
+  const choices = TAB_SORT_ORDERS.map(order => ({
+    label: `${group.keepSorted === order.id ? '✓ ' : ''}${order.label}`,
+    run: () => updateGroup(group.group, { keepSorted: order.id })
+  }));
+  choices.push({ label: `${group.keepSorted ? '' : '✓ '}Off`, run: () => updateGroup(group.group, { keepSorted: null }) });
+  showChoiceMenu(x, y, 'Keep sorted by', choices);
+}
+
+// Color swatches below anchorEl - onPick(color) applies the chosen one
+function showColorPicker(anchorEl, onPick) {
   hideContextMenu();
 
   const menu = document.createElement('div');
@@ -1016,9 +1550,7 @@ function showColorPicker(group) {
     <button class="color-option" data-color="${color}" style="background: ${color}"></button>
   `).join('');
 
-  // Position near the group
-  const groupEl = document.querySelector(`[data-group-id="${group.group}"]`);
-  const rect = groupEl.getBoundingClientRect();
+  const rect = anchorEl.getBoundingClientRect();
   menu.style.left = `${rect.left}px`;
   menu.style.top = `${rect.bottom + 4}px`;
   document.body.appendChild(menu);
@@ -1030,10 +1562,129 @@ function showColorPicker(group) {
     if (!color) return;
 
     hideContextMenu();
-    group.color = color;
-    await saveItems();
-    render();
-    queueAutosave(group.group);
+    await onPick(color);
+  });
+}
+
+function showSessionContextMenu(x, y, sessionId) {
+  hideContextMenu();
+
+  const menu = document.createElement('div');
+  menu.id = 'context-menu';
+  menu.className = 'context-menu';
+
+  menu.innerHTML = `
+    <button class="context-menu-item" data-action="restore-new-window">
+      Open in new window
+    </button>
+    <button class="context-menu-item" data-action="restore-at">
+      Restore at position...
+    </button>
+    <button class="context-menu-item" data-action="merge">
+      Merge into group...
+    </button>
+    <button class="context-menu-item" data-action="restore-copy">
+      Open a copy (unlinked)
+    </button>
+    <div class="context-menu-separator"></div>
+    <button class="context-menu-item" data-action="rename-session">
+      Rename session
+    </button>
+    <button class="context-menu-item" data-action="change-color">
+      Change color
+    </button>
+    ${savedSessions[sessionId]?.versions?.length ? `
+    <button class="context-menu-item" data-action="versions">
+      ${versionsSessionId === sessionId ? 'Hide version history' : 'Version history'}
+    </button>
+    ` : ''}
+    <div class="context-menu-separator"></div>
+    <button class="context-menu-item" data-action="delete-session">
+      Delete session
+    </button>
+  `;
+
+  menu.style.left = `${x}px`;
+  menu.style.top = `${y}px`;
+  document.body.appendChild(menu);
+
+  adjustMenuPosition(menu);
+
+  menu.addEventListener('click', async (e) => {
+    e.stopPropagation();  // Prevent document click from hiding color picker
+    const action = e.target.dataset.action;
+    if (!action) return;
+
+    hideContextMenu();
+
+    switch (action) {
+      case 'restore-new-window':
+        await restoreSessionWith(sessionId, { windowId: 'new' });
+        break;
+      case 'restore-at':
+        showChoiceMenu(x, y, 'Restore at', getRestorePositions().map(position => ({
+          label: position.label,
+          run: () => restoreSessionWith(sessionId, { windowId: currentWindowId, index: position.index })
+        })));
+        break;
+      case 'merge':
+        showChoiceMenu(x, y, 'Merge into', getAllGroups(items).filter(group => !group.archived).map(group => ({
+          label: group.name,
+          indent: getGroupPath(items, group.group).length - 1,
+          run: () => mergeSessionIntoGroup(sessionId, group.group)
+        })));
+        break;
+      case 'restore-copy':
+        await restoreSessionWith(sessionId, { linked: false });
+        break;
+      case 'rename-session':
+        await renameSession(sessionId);
+        break;
+      case 'change-color':
+        showColorPicker(document.querySelector(`.session-item[data-session-id="${sessionId}"]`),
+          color => updateSession(sessionId, { color }));
+        break;
+      case 'versions':
+        toggleSessionVersions(sessionId);
+        break;
+      case 'delete-session':
+        await deleteSession(sessionId);
+        break;
+    }
+  });
+}
+
+// Menu to pick one of choices [{ label, run, indent? }] - run() is called with the pick
+function showChoiceMenu(x, y, title, choices) {
+  hideContextMenu();
+
+  const menu = document.createElement('div');
+  menu.id = 'context-menu';
+  menu.className = 'context-menu choice-menu';
+
+  menu.innerHTML = `
+    <div class="context-menu-title">${escapeHtml(title)}</div>
+    ${choices.length === 0 ? '<div class="context-menu-empty">Nothing to choose from</div>' : ''}
+    ${choices.map((choice, i) => `
+    <button class="context-menu-item" data-choice="${i}" style="padding-left: ${12 + (choice.indent || 0) * 12}px">
+      ${escapeHtml(choice.label)}
+    </button>
+    `).join('')}
+  `;
+
+  menu.style.left = `${x}px`;
+  menu.style.top = `${y}px`;
+  document.body.appendChild(menu);
+
+  adjustMenuPosition(menu);
+
+  menu.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const choice = choices[e.target.closest('[data-choice]')?.dataset.choice];
+    if (!choice) return;
+
+    hideContextMenu();
+    await choice.run();
   });
 }
 
@@ -1047,15 +1698,6 @@ function adjustMenuPosition(menu) {
   }
 }
 
-function getTabGroupId(tabId) {
-  for (const item of items) {
-    if (item.group && item.tabs.includes(tabId)) {
-      return item.group;
-    }
-  }
-  return null;
-}
-
 function hideContextMenu() {
   const menu = document.getElementById('context-menu');
   if (menu) menu.remove();
@@ -1065,123 +1707,699 @@ async function promptRename(tabId) {
   const data = tabData[tabId];
   if (!data) return;
 
-  const currentName = customNames[tabId] || data.title;
+  const currentName = customNames[tabId] || getTabTitle(tabId);
   const newName = prompt('Enter custom name for this tab:', currentName);
 
   if (newName !== null && newName.trim() !== '') {
-    customNames[tabId] = newName.trim();
-    await chrome.storage.local.set({ customNames });
-    render();
-
-    // Trigger autosave if tab is in an autosave group
-    const groupId = getTabGroupId(tabId);
-    if (groupId) queueAutosave(groupId);
+    await sendCommand('rename-tab', { tabId, name: newName.trim() });
   }
 }
 
-// Global keyboard shortcut navigation (called from service worker via message)
-async function handleGlobalNavigation(direction) {
-  const allTabIds = getAllTabIds();
-  if (allTabIds.length === 0) return;
+// Global keyboard shortcut navigation is done by the service worker - follow the tab it activated
+function handleGlobalNavigation(tabId) {
+  keyboardFocusedTabId = tabId;
+  lastClickedTab = tabId;
+  selectedTabs.clear();
+  render();
 
-  // If no keyboard focus yet, start from the currently active tab
-  let currentIndex;
-  if (keyboardFocusedTabId !== null && allTabIds.includes(keyboardFocusedTabId)) {
-    currentIndex = allTabIds.indexOf(keyboardFocusedTabId);
-  } else {
-    // Find the currently active tab
-    const activeTabId = Object.keys(tabData).find(id => tabData[id].active);
-    currentIndex = activeTabId ? allTabIds.indexOf(parseInt(activeTabId)) : -1;
+  const focusedEl = document.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+  if (focusedEl) {
+    focusedEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
   }
+}
 
-  if (direction === 'down') {
-    currentIndex = currentIndex < allTabIds.length - 1 ? currentIndex + 1 : currentIndex;
-  } else {
-    currentIndex = currentIndex > 0 ? currentIndex - 1 : (currentIndex === -1 ? allTabIds.length - 1 : currentIndex);
+// Tab IDs in the order they are shown for the current window view
+function getScopeTabIds() {
+  const allTabIds = getAllTabIds(items).filter(id => tabData[id]);
+  if (windowView === 'current') {
+    return allTabIds.filter(id => tabData[id].windowId === currentWindowId);
   }
-
-  const newTabId = allTabIds[currentIndex];
-  if (newTabId !== undefined) {
-    keyboardFocusedTabId = newTabId;
-    lastClickedTab = newTabId;
-    selectedTabs.clear();
-
-    await chrome.tabs.update(newTabId, { active: true });
-    render();
-
-    const focusedEl = document.querySelector(`.tab-item[data-tab-id="${newTabId}"]`);
-    if (focusedEl) {
-      focusedEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-    }
+  if (windowView === 'sections') {
+    return getWindowOrder().flatMap(windowId => allTabIds.filter(id => tabData[id].windowId === windowId));
   }
+  return allTabIds;
+}
+
+// Tabs the arrow keys can move to - tabs in collapsed groups (and collapsed window
+// sections) are skipped unless collapsedNavigation expands groups on entry. While
+// searching, only the results (shown even inside collapsed groups).
+function getNavigableTabIds(scopeIds) {
+  const visible = windowView === 'sections'
+    ? scopeIds.filter(id => !collapsedWindows.has(tabData[id].windowId))
+    : scopeIds;
+  if (searchResults) return visible.filter(id => searchResults.has(id));
+  if (collapsedNavigation === 'expand') return visible;
+
+  const expanded = new Set(getExpandedTabIds(items));
+  return visible.filter(id => expanded.has(id));
 }
 
 // Keyboard Navigation (when side panel has focus)
+// Keys come from the keymap set in the options page (see Keymap in shared.js)
+
+// Key → action ID; a key bound twice goes to the action listed first
+function getKeyBindings(settings) {
+  const keymap = getKeymap(settings);
+  const bindings = new Map();
+  KEYMAP_ACTIONS.forEach(({ id }) => {
+    (keymap[id] || []).forEach(combo => {
+      if (!bindings.has(combo)) bindings.set(combo, id);
+    });
+  });
+  return bindings;
+}
+
+// Each action returns false when it doesn't apply (the key then keeps its default
+// behavior), otherwise it starts the action and returns its promise
+const KEY_ACTIONS = {
+  'focus-next': () => stepKeyboardFocus(1, false),
+  'focus-previous': () => stepKeyboardFocus(-1, false),
+  'select-next': () => stepKeyboardFocus(1, true),
+  'select-previous': () => stepKeyboardFocus(-1, true),
+  // Left collapses, Right expands the focused tab's group
+  'collapse-group': () => toggleFocusedGroup(true),
+  'expand-group': () => toggleFocusedGroup(false),
+  'open-tab': () => keyboardFocusedTabId !== null && chrome.tabs.update(keyboardFocusedTabId, { active: true }),
+  'rename-tab': () => keyboardFocusedTabId !== null && promptRename(keyboardFocusedTabId),
+  'close-tab': () => keyboardFocusedTabId !== null && closeFocusedTabs(),
+  'move-up': () => moveByKeyboardUnlessSearching('up', false),
+  'move-down': () => moveByKeyboardUnlessSearching('down', false),
+  'move-in': () => moveByKeyboardUnlessSearching('in', false),
+  'move-out': () => moveByKeyboardUnlessSearching('out', false),
+  'move-top': () => moveByKeyboardUnlessSearching('top', false),
+  'move-bottom': () => moveByKeyboardUnlessSearching('bottom', false),
+  'move-group-up': () => moveByKeyboardUnlessSearching('up', true),
+  'move-group-down': () => moveByKeyboardUnlessSearching('down', true),
+  'move-group-in': () => moveByKeyboardUnlessSearching('in', true),
+  'move-group-out': () => moveByKeyboardUnlessSearching('out', true),
+  'move-group-top': () => moveByKeyboardUnlessSearching('top', true),
+  'move-group-bottom': () => moveByKeyboardUnlessSearching('bottom', true),
+  'tab-menu': () => openContextMenuByKeyboard(false),
+  'group-menu': () => openContextMenuByKeyboard(true),
+  'undo': () => undo(),
+  'redo': () => redo(),
+  'command-palette': () => openCommandPalette(),
+  'focus-search': () => focusSearch()
+};
+
 function setupKeyboardNavigation() {
   document.addEventListener('keydown', async (e) => {
-    // Ignore if typing in input/textarea
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-
-    // Ignore if context menu is open
-    if (document.getElementById('context-menu')) return;
+    const combo = getKeyCombo(e);
+    const action = combo && keyBindings.get(combo);
+
+    // Typing in input/textarea - only the command palette key applies (the search box
+    // handles clear-search itself)
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      if (action === 'command-palette' && !isTypingCombo(combo)) {
+        e.preventDefault();
+        openCommandPalette();
+      }
+      return;
+    }
 
-    const allTabIds = getAllTabIds();
-    if (allTabIds.length === 0) return;
+    // Context menu open - the arrow keys walk its items
+    const menu = document.getElementById('context-menu');
+    if (menu) {
+      handleContextMenuKey(e, menu);
+      return;
+    }
 
-    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const result = action && KEY_ACTIONS[action] ? KEY_ACTIONS[action]() : false;
+    if (result !== false) {
       e.preventDefault();
+      await result;
+      return;
+    }
 
-      // If no keyboard focus yet, start from the currently active tab
-      let currentIndex;
-      if (keyboardFocusedTabId !== null && allTabIds.includes(keyboardFocusedTabId)) {
-        currentIndex = allTabIds.indexOf(keyboardFocusedTabId);
-      } else {
-        const activeTabId = Object.keys(tabData).find(id => tabData[id].active);
-        currentIndex = activeTabId ? allTabIds.indexOf(parseInt(activeTabId)) : -1;
-      }
+    // Typing while searching continues in the search box
+    if (searchResults !== null && !e.ctrlKey && !e.metaKey && !e.altKey &&
+        ((e.key.length === 1 && e.key !== ' ') || e.key === 'Backspace' || e.key === 'Escape')) {
+      if (e.key === 'Escape') e.preventDefault();
+      document.getElementById('search-input').focus();
+    }
+  });
+}
 
-      if (e.key === 'ArrowDown') {
-        // Move down (or start at first tab)
-        currentIndex = currentIndex < allTabIds.length - 1 ? currentIndex + 1 : currentIndex;
-      } else {
-        // Move up (or start at last tab)
-        currentIndex = currentIndex > 0 ? currentIndex - 1 : (currentIndex === -1 ? allTabIds.length - 1 : currentIndex);
-      }
+// Move keyboard focus to the next (step 1) or previous (-1) tab. Outside search the tab is
+// opened too; extend selects the tabs passed over instead.
+function stepKeyboardFocus(step, extend) {
+  const scopeIds = getScopeTabIds();
+  if (scopeIds.length === 0) return false;
 
-      const newTabId = allTabIds[currentIndex];
-      if (newTabId !== undefined) {
-        keyboardFocusedTabId = newTabId;
-        lastClickedTab = newTabId;
-        selectedTabs.clear();
+  const searching = searchResults !== null;
+  const navigableIds = getNavigableTabIds(scopeIds);
 
-        // Focus the tab in Chrome (don't focus window - causes focus steal from side panel)
-        await chrome.tabs.update(newTabId, { active: true });
+  // If no keyboard focus yet, start from the currently active tab (or outside the
+  // results while searching)
+  let currentId = keyboardFocusedTabId;
+  if (currentId === null || !navigableIds.includes(currentId)) {
+    const activeTabId = Object.keys(tabData).find(id => tabData[id].active);
+    currentId = activeTabId && !searching ? parseInt(activeTabId) : null;
+  }
 
-        render();
+  const newTabId = stepTabOrder(scopeIds, navigableIds, currentId, step);
 
-        // Scroll the focused tab into view and keep focus in side panel
-        const focusedEl = document.querySelector(`.tab-item[data-tab-id="${newTabId}"]`);
-        if (focusedEl) {
-          focusedEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
-        }
+  // Extending the selection from where it started (without opening tabs)
+  if (extend) {
+    if (newTabId !== null) extendSelection(navigableIds, lastClickedTab ?? currentId ?? newTabId, newTabId);
+    return Promise.resolve();
+  }
 
-        // Re-focus the tab list to maintain keyboard control
-        document.getElementById('tab-list').focus();
-      }
-    } else if (e.key === ' ' && keyboardFocusedTabId !== null) {
-      // Space bar - open rename prompt
-      e.preventDefault();
-      await promptRename(keyboardFocusedTabId);
-    }
-  });
+  // Up from the first result goes back to the search box
+  if (newTabId === null && searching && step < 0) {
+    keyboardFocusedTabId = null;
+    render();
+    document.getElementById('search-input').focus();
+    return Promise.resolve();
+  }
+
+  if (newTabId !== null && searching) {
+    // Results are only focused - Enter opens one
+    focusTabItem(newTabId);
+  } else if (newTabId !== null) {
+    return activateByKeyboard(newTabId);
+  }
+  return Promise.resolve();
 }
 
-// View Toggle
-function setupViewToggle() {
-  const viewBtns = document.querySelectorAll('.view-btn');
-  viewBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const view = btn.dataset.view;
+async function activateByKeyboard(tabId) {
+  keyboardFocusedTabId = tabId;
+  lastClickedTab = tabId;
+  selectedTabs.clear();
+
+  // Entered a collapsed group - expand it
+  const groupId = getTabGroupId(items, tabId);
+  if (groupId) await expandGroupPath(groupId);
+
+  // Focus the tab in Chrome (don't focus window - causes focus steal from side panel)
+  await chrome.tabs.update(tabId, { active: true });
+
+  render();
+
+  // Scroll the focused tab into view and keep focus in side panel
+  const focusedEl = document.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+  if (focusedEl) {
+    focusedEl.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  // Re-focus the tab list to maintain keyboard control
+  document.getElementById('tab-list').focus();
+}
+
+function toggleFocusedGroup(collapsed) {
+  if (keyboardFocusedTabId === null) return false;
+  const groupId = getTabGroupId(items, keyboardFocusedTabId);
+  return groupId ? toggleGroupCollapsed(groupId, collapsed) : false;
+}
+
+// Close the focused tab (or the selection it belongs to), focus moves on to the next one
+async function closeFocusedTabs() {
+  const scopeIds = getScopeTabIds();
+  const tabIds = selectedTabs.has(keyboardFocusedTabId) ? [...selectedTabs] : [keyboardFocusedTabId];
+  const remaining = getNavigableTabIds(scopeIds).filter(id => !tabIds.includes(id));
+  const next = stepTabOrder(scopeIds, remaining, keyboardFocusedTabId, 1) ??
+    stepTabOrder(scopeIds, remaining, keyboardFocusedTabId, -1);
+
+  selectedTabs.clear();
+  keyboardFocusedTabId = next;
+  await closeTabs(tabIds);
+  if (next !== null) focusTabItem(next);
+}
+
+// Only the matches are shown while searching - moving between them would be confusing
+function moveByKeyboardUnlessSearching(direction, moveGroup) {
+  return searchResults !== null ? Promise.resolve() : moveByKeyboard(direction, moveGroup);
+}
+
+// Select the tabs from anchorId to tabId (in orderedIds) and focus tabId
+function extendSelection(orderedIds, anchorId, tabId) {
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(tabId);
+  selectedTabs.clear();
+  if (from !== -1 && to !== -1) {
+    orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTabs.add(id));
+  }
+  lastClickedTab = anchorId;
+  keyboardFocusedTabId = tabId;
+  render();
+
+  document.querySelector(`.tab-item[data-tab-id="${tabId}"]`)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  document.getElementById('tab-list').focus();
+}
+
+// Context menus from the keyboard: arrows (and Home/End) move between the items, Enter
+// runs one, Escape closes the menu
+function handleContextMenuKey(e, menu) {
+  const buttons = [...menu.querySelectorAll('button')];
+  const current = buttons.indexOf(document.activeElement);
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    hideContextMenu();
+    document.getElementById('tab-list').focus();
+  } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp' || e.key === 'Home' || e.key === 'End') {
+    e.preventDefault();
+    const last = buttons.length - 1;
+    const next = {
+      ArrowDown: current === -1 || current === last ? 0 : current + 1,
+      ArrowUp: current <= 0 ? last : current - 1,
+      Home: 0,
+      End: last
+    }[e.key];
+    buttons[next]?.focus();
+  }
+}
+
+// Returns false when there is no tab (or group) to open a menu for - see KEY_ACTIONS
+function openContextMenuByKeyboard(forGroup) {
+  const [tabId] = getTargetTabIds();
+  if (tabId === undefined) return false;
+
+  const groupId = getTabGroupId(items, tabId);
+  const el = forGroup
+    ? document.querySelector(`.group-container[data-group-id="${groupId}"] > .group-header`)
+    : document.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+  const rect = (el || document.getElementById('tab-list')).getBoundingClientRect();
+
+  if (forGroup) {
+    if (!groupId) return false;
+    showGroupContextMenu(rect.left + 16, rect.bottom, findGroup(items, groupId));
+  } else {
+    if (!selectedTabs.has(tabId)) {
+      selectedTabs.clear();
+      selectedTabs.add(tabId);
+      render();
+    }
+    showTabContextMenu(rect.left + 16, rect.bottom, tabId);
+  }
+  document.querySelector('#context-menu button')?.focus();
+  return true;
+}
+
+// Show keyboard focus on a tab without activating it
+function focusTabItem(tabId) {
+  keyboardFocusedTabId = tabId;
+  lastClickedTab = tabId;
+  selectedTabs.clear();
+  render();
+
+  document.querySelector(`.tab-item[data-tab-id="${tabId}"]`)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  document.getElementById('tab-list').focus();
+}
+
+// Duplicates
+// Tabs open more than once (compared by getDuplicateKey, across all windows)
+
+function getTabDuplicateKey(tabId) {
+  return getDuplicateKey(tabData[tabId]?.url, duplicateSettings);
+}
+
+function countDuplicates() {
+  const counts = new Map();
+  Object.keys(tabData).forEach(tabId => {
+    const key = getTabDuplicateKey(tabId);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+function isDuplicateTab(tabId) {
+  const key = getTabDuplicateKey(tabId);
+  return !!key && duplicateCounts.get(key) > 1;
+}
+
+// All open tabs with the same URL as tabId (itself included), in custom order
+function getTabCopies(tabId) {
+  const key = getTabDuplicateKey(tabId);
+  return key ? getAllTabIds(items).filter(id => tabData[id] && getTabDuplicateKey(id) === key) : [tabId];
+}
+
+// Copies to close among tabIds - all but one tab per URL. The one kept is the active tab,
+// else one inside a group (put there on purpose), else the first in your custom order.
+function getDuplicateTabIds(tabIds = getAllTabIds(items)) {
+  const scope = new Set(tabIds);
+  const copiesByKey = new Map();
+  getAllTabIds(items).forEach(id => {
+    const key = scope.has(id) && tabData[id] ? getTabDuplicateKey(id) : null;
+    if (key) copiesByKey.set(key, [...(copiesByKey.get(key) || []), id]);
+  });
+
+  const rank = id => tabData[id].active ? 0 : getTabGroupId(items, id) ? 1 : 2;
+  return [...copiesByKey.values()].flatMap(copies => {
+    const kept = copies.reduce((best, id) => rank(id) < rank(best) ? id : best);
+    return copies.filter(id => id !== kept);
+  });
+}
+
+// A tab just opened a URL that's already open (settings.duplicateOnOpen = 'prompt')
+function offerSwitchToCopy(tabId, existingTabId) {
+  showToast('Already open in another tab', 'Switch', async () => {
+    const existing = await chrome.tabs.get(existingTabId).catch(() => null);
+    if (!existing) return;
+    await chrome.tabs.update(existingTabId, { active: true });
+    if (existing.windowId !== currentWindowId) await chrome.windows.update(existing.windowId, { focused: true });
+    await closeTabs([tabId]);
+  });
+}
+
+async function closeDuplicates(tabIds) {
+  const duplicateIds = getDuplicateTabIds(tabIds);
+  if (duplicateIds.length === 0) {
+    showToast('No duplicates to close');
+    return;
+  }
+  await closeTabs(duplicateIds);
+}
+
+// Keyboard Moves
+// Move the target tabs (see getTargetTabIds) or their group: up/down past the neighbouring
+// entry (out of the group at its ends), into the adjacent group, out of the group, or to
+// the top/bottom of the list they're in. Goes through move-tabs/move-group like dragging.
+
+const KEYBOARD_MOVE_COMMANDS = [
+  { direction: 'up', label: 'up' },
+  { direction: 'down', label: 'down' },
+  { direction: 'in', label: 'into the adjacent group' },
+  { direction: 'out', label: 'out of its group' },
+  { direction: 'top', label: 'to the top' },
+  { direction: 'bottom', label: 'to the bottom' }
+];
+
+async function moveByKeyboard(direction, moveGroup) {
+  const tabIds = getTargetTabIds();
+  if (tabIds.length === 0) return;
+
+  if (moveGroup) {
+    const groupId = getTabGroupId(items, tabIds[0]);
+    if (!groupId) return;
+    const target = getKeyboardMoveTarget([groupId], direction);
+    if (target) await sendCommand('move-group', { groupId, ...target });
+    return;
+  }
+
+  const target = getKeyboardMoveTarget(tabIds, direction);
+  if (!target) return;
+
+  // Keep the moved tabs in view
+  if (target.toGroupId) await toggleGroupCollapsed(target.toGroupId, false);
+  await sendCommand('move-tabs', { tabIds, ...target });
+}
+
+// Where a move puts keys (tab IDs in order, or one group ID): { toGroupId, index } with the
+// index counted without the moved entries, or null if they can't move that way. Entries
+// hidden by the window view are skipped.
+function getKeyboardMoveTarget(keys, direction) {
+  const moved = new Set(keys);
+  const isMoved = entry => moved.has(entry.group || entry);
+  const scopeSet = new Set(getScopeTabIds());
+  const isShown = entry => entry.group
+    ? entry.archived || getAllTabIds(entry.tabs).some(id => scopeSet.has(id))
+    : scopeSet.has(entry);
+
+  const anchor = direction === 'down' ? keys[keys.length - 1] : keys[0];
+  const location = findLocation(items, anchor);
+  if (!location) return null;
+
+  const parentId = location.parent ? location.parent.group : null;
+  const rest = location.list.filter(entry => !isMoved(entry));
+  const position = location.list.slice(0, location.index).filter(entry => !isMoved(entry)).length;
+  const previous = rest.slice(0, position).reverse().find(isShown);
+  const next = rest.slice(position).find(isShown);
+
+  // Right before or after the enclosing group
+  const outOfGroup = after => {
+    if (!location.parent) return null;
+    const parentLocation = findLocation(items, parentId);
+    const parentRest = parentLocation.list.filter(entry => !isMoved(entry));
+    return {
+      toGroupId: parentLocation.parent ? parentLocation.parent.group : null,
+      index: parentRest.indexOf(location.parent) + (after ? 1 : 0)
+    };
+  };
+
+  switch (direction) {
+    case 'up':
+      return previous !== undefined ? { toGroupId: parentId, index: rest.indexOf(previous) } : outOfGroup(false);
+    case 'down':
+      return next !== undefined ? { toGroupId: parentId, index: rest.indexOf(next) + 1 } : outOfGroup(true);
+    case 'in':
+      // The group above (at its end), else the group below (at its start)
+      if (previous?.group && !previous.archived) {
+        return { toGroupId: previous.group, index: previous.tabs.filter(entry => !isMoved(entry)).length };
+      }
+      if (next?.group && !next.archived) return { toGroupId: next.group, index: 0 };
+      return null;
+    case 'out':
+      return outOfGroup(true);
+    case 'top':
+      return { toGroupId: parentId, index: 0 };
+    case 'bottom':
+      return { toGroupId: parentId, index: rest.length };
+  }
+  return null;
+}
+
+// Command Palette
+// Every panel action in one filterable list (Ctrl+K). Tab and group commands act on the
+// selected tabs, else the keyboard-focused tab, else the active one. Recently used
+// commands (remembered by ID in storage) come first.
+
+const RECENT_COMMANDS_LIMIT = 5;
+let paletteCommands = [];  // Commands shown in the open palette
+let paletteIndex = 0;      // Highlighted one
+let recentCommandIds = [];  // Most recent first
+
+function getTargetTabIds() {
+  if (selectedTabs.size > 0) return getAllTabIds(items).filter(id => selectedTabs.has(id));
+  if (keyboardFocusedTabId !== null && tabData[keyboardFocusedTabId]) return [keyboardFocusedTabId];
+
+  const activeId = Object.keys(tabData).find(id => tabData[id].active && tabData[id].windowId === currentWindowId);
+  return activeId ? [Number(activeId)] : [];
+}
+
+// Commands available right now: { id, label, run }
+function getPaletteCommands() {
+  const commands = [];
+  const add = (id, label, run) => commands.push({ id, label, run });
+
+  const tabIds = getTargetTabIds();
+  const tabLabel = tabIds.length === 1 ? 'tab' : `${tabIds.length} tabs`;
+  if (tabIds.length === 1) {
+    const tabId = tabIds[0];
+    add('rename-tab', 'Rename tab', () => promptRename(tabId));
+    if (customNames[tabId]) add('reset-tab-name', 'Reset tab name', () => sendCommand('rename-tab', { tabId, name: null }));
+  }
+  if (tabIds.length === 1 && isDuplicateTab(tabIds[0])) {
+    add('close-copies', 'Close other copies of tab', () => closeTabs(getTabCopies(tabIds[0]).filter(id => id !== tabIds[0])));
+  }
+  if (tabIds.length > 1 && getDuplicateTabIds(tabIds).length > 0) {
+    add('close-selection-duplicates', `Close duplicates among ${tabLabel}`, () => closeDuplicates(tabIds));
+  }
+  if (tabIds.length > 0) {
+    add('close-tabs', `Close ${tabLabel}`, () => closeTabs(tabIds));
+    const allProtected = tabIds.every(id => protectedTabs[id]);
+    add('protect-tabs', `${allProtected ? 'Unprotect' : 'Protect'} ${tabLabel}`, () => protectTabs(tabIds, !allProtected));
+    add('snooze-tabs', `Snooze ${tabLabel}...`, () => showSnoozeMenuInList(`Snooze ${tabLabel} until`, wakeAt => snoozeTabs(tabIds, wakeAt)));
+    add('create-group', `Create group from ${tabLabel}`, () => createGroup(tabIds));
+    if (tabIds.length === 1 && getTabGroupId(items, tabIds[0])) {
+      add('ungroup-tab', 'Remove tab from group', () => ungroupTab(tabIds[0]));
+    }
+    getAllGroups(items).filter(g => !g.archived).forEach(g => {
+      add(`move-to-group:${g.group}`, `Move ${tabLabel} to group "${g.name}"`,
+        () => sendCommand('move-tabs', { tabIds, toGroupId: g.group, index: g.tabs.length }));
+    });
+    KEYBOARD_MOVE_COMMANDS.forEach(({ direction, label }) => {
+      add(`move-tabs-${direction}`, `Move ${tabLabel} ${label}`, () => moveByKeyboard(direction, false));
+    });
+    getMoveWindowChoices(tabIds).forEach(choice => {
+      add(`move-to-window:${choice.windowId ?? 'new'}`, `Move ${tabLabel} to ${choice.label}`, choice.run);
+    });
+  }
+
+  // The group of the (first) target tab
+  const groupId = tabIds.length > 0 ? getTabGroupId(items, tabIds[0]) : null;
+  const group = groupId ? findGroup(items, groupId) : null;
+  if (group) {
+    const name = `"${group.name}"`;
+    add('rename-group', `Rename group ${name}`, () => promptRenameGroup(group));
+    add('change-group-color', `Change color of group ${name}`, () => pickGroupColor(group));
+    add('toggle-group-collapsed', `${group.collapsed ? 'Expand' : 'Collapse'} group ${name}`, () => toggleGroupCollapsed(group.group));
+    add('save-session', `${group.linkedSessionId ? 'Update saved session of' : 'Save session from'} group ${name}`, () => saveGroupAsSession(group));
+    if (group.linkedSessionId) {
+      add('save-session-as-new', `Save group ${name} as new session...`, () => saveGroupAsNewSession(group));
+      add('toggle-autosave', `${group.autoSave ? 'Disable' : 'Enable'} auto-save for group ${name}`,
+        () => updateGroup(group.group, { autoSave: !group.autoSave }));
+    }
+    if (getGroupPath(items, group.group).length > 1) {
+      add('move-group-out', `Move group ${name} out of its parent`, () => moveGroupOutOfParent(group.group));
+    }
+    TAB_SORT_ORDERS.forEach(order => {
+      add(`sort-group:${order.id}`, `Sort group ${name} by ${order.label.toLowerCase()}`, () => sortTabs(group.group, order.id));
+    });
+    add('keep-group-sorted', `Keep group ${name} sorted...`, () => {
+      const { x, y } = getListMenuPosition();
+      showKeepSortedMenu(x, y, group);
+    });
+    add('group-stale-policy', `Unused tabs in group ${name}...`, () => {
+      const { x, y } = getListMenuPosition();
+      showStalePolicyMenu(x, y, group);
+    });
+    KEYBOARD_MOVE_COMMANDS.forEach(({ direction, label }) => {
+      add(`move-group-${direction}`, `Move group ${name} ${label}`, () => moveByKeyboard(direction, true));
+    });
+    add('archive-group', `Archive group ${name}`, () => archiveGroup(group.group));
+    add('snooze-group', `Snooze group ${name}...`, () => showSnoozeMenuInList('Snooze group until', wakeAt => snoozeGroup(group.group, wakeAt)));
+    add('ungroup-all', `Ungroup ${name}`, () => dissolveGroup(group.group));
+    if (getDuplicateTabIds(getAllTabIds(group.tabs)).length > 0) {
+      add('close-group-duplicates', `Close duplicates in group ${name}`, () => closeDuplicates(getAllTabIds(group.tabs)));
+    }
+    add('close-group', `Close all tabs in group ${name}`, () => closeGroupTabs(group));
+    add('protect-group', `${group.protected ? 'Unprotect' : 'Protect'} group ${name}`,
+      () => updateGroup(group.group, { protected: group.protected ? null : true }));
+  }
+
+  const duplicateIds = getDuplicateTabIds();
+  if (duplicateIds.length > 0) {
+    add('close-duplicates', `Close ${duplicateIds.length} duplicate tab${duplicateIds.length === 1 ? '' : 's'}`, () => closeDuplicates());
+  }
+
+  TAB_SORT_ORDERS.forEach(order => {
+    add(`sort-root:${order.id}`, `Sort ungrouped tabs by ${order.label.toLowerCase()}`, () => sortTabs(null, order.id));
+  });
+
+  Object.values(savedSessions).forEach(session => {
+    add(`restore-session:${session.id}`, `Restore session "${session.name}"`, () => restoreSession(session.id));
+  });
+
+  add('undo', 'Undo', undo);
+  add('redo', 'Redo', redo);
+  add('search', 'Search tabs', focusSearch);
+  add('view-tabs', 'Switch to Tabs view', () => switchView('tabs'));
+  add('view-sessions', 'Switch to Sessions view', () => switchView('sessions'));
+  add('view-snoozed', 'Switch to Snoozed view', () => switchView('snoozed'));
+  add('view-trash', 'Switch to Trash view', () => switchView('trash'));
+  add('open-settings', 'Open settings', () => chrome.runtime.openOptionsPage());
+  add('export-backup', 'Export backup', exportBackup);
+
+  return commands;
+}
+
+function setupCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  const input = document.getElementById('command-input');
+  const list = document.getElementById('command-list');
+
+  input.addEventListener('input', () => renderCommandList());
+
+  input.addEventListener('keydown', async (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const count = Math.min(paletteCommands.length, list.children.length);
+      if (count === 0) return;
+      paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      updateCommandHighlight();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      await runPaletteCommand(paletteCommands[paletteIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeCommandPalette();
+    }
+  });
+
+  list.addEventListener('click', async (e) => {
+    const item = e.target.closest('.command-item');
+    if (item) await runPaletteCommand(paletteCommands[Number(item.dataset.index)]);
+  });
+
+  // Clicking outside closes it
+  document.addEventListener('mousedown', (e) => {
+    if (!palette.classList.contains('hidden') && !palette.contains(e.target)) closeCommandPalette();
+  });
+}
+
+async function openCommandPalette() {
+  hideContextMenu();
+  const palette = document.getElementById('command-palette');
+  const input = document.getElementById('command-input');
+
+  const { recentCommands = [] } = await chrome.storage.local.get('recentCommands');
+  recentCommandIds = recentCommands;
+  palette.classList.remove('hidden');
+  input.value = '';
+  renderCommandList();
+  input.focus();
+}
+
+function closeCommandPalette() {
+  document.getElementById('command-palette').classList.add('hidden');
+  paletteCommands = [];
+}
+
+// Filter the commands fuzzily (every word has to match, see matchText), best first.
+// Without a query, recent commands lead.
+function renderCommandList() {
+  const query = document.getElementById('command-input').value.toLowerCase().trim();
+  const list = document.getElementById('command-list');
+  const recentRank = id => recentCommandIds.includes(id) ? RECENT_COMMANDS_LIMIT - recentCommandIds.indexOf(id) : 0;
+
+  const terms = query.split(/\s+/).filter(Boolean);
+  const matches = getPaletteCommands().map(command => {
+    let score = 0;
+    const ranges = [];
+    for (const term of terms) {
+      const match = matchText(command.label, term);
+      if (!match) return null;
+      score += match.score;
+      ranges.push(...match.ranges);
+    }
+    return { command, score: score + recentRank(command.id) * 10, ranges };
+  }).filter(Boolean);
+
+  // Stable sort - equal scores keep the list order
+  matches.sort((a, b) => b.score - a.score);
+  paletteCommands = matches.map(m => m.command);
+  paletteIndex = 0;
+
+  if (matches.length === 0) {
+    list.innerHTML = '<div class="command-empty">No matching commands</div>';
+    return;
+  }
+
+  list.innerHTML = matches.slice(0, 50).map((match, i) => `
+    <div class="command-item" data-index="${i}" role="option">
+      <span class="command-label">${highlightText(match.command.label, match.ranges)}</span>
+      ${recentCommandIds.includes(match.command.id) ? '<span class="command-hint">recent</span>' : ''}
+    </div>
+  `).join('');
+  updateCommandHighlight();
+}
+
+function updateCommandHighlight() {
+  const list = document.getElementById('command-list');
+  list.querySelectorAll('.command-item').forEach((item, i) => {
+    item.classList.toggle('highlighted', i === paletteIndex);
+    if (i === paletteIndex) item.scrollIntoView({ block: 'nearest' });
+  });
+}
+
+async function runPaletteCommand(command) {
+  if (!command) return;
+  closeCommandPalette();
+
+  recentCommandIds = [command.id, ...recentCommandIds.filter(id => id !== command.id)].slice(0, RECENT_COMMANDS_LIMIT);
+  await chrome.storage.local.set({ recentCommands: recentCommandIds });
+
+  document.getElementById('tab-list').focus();
+  await command.run();
+}
+
+// View Toggle
+function setupViewToggle() {
+  const viewBtns = document.querySelectorAll('.view-btn');
+  viewBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const view = btn.dataset.view;
       switchView(view);
     });
   });
@@ -1191,6 +2409,7 @@ function switchView(view) {
   currentView = view;
   const tabList = document.getElementById('tab-list');
   const sessionsList = document.getElementById('sessions-list');
+  const trashList = document.getElementById('trash-list');
   const viewBtns = document.querySelectorAll('.view-btn');
   const searchInput = document.getElementById('search-input');
 
@@ -1199,23 +2418,33 @@ function switchView(view) {
   });
 
   // Update search placeholder based on view
-  searchInput.placeholder = view === 'tabs' ? 'Search tabs...' : 'Search sessions...';
+  searchInput.placeholder = { tabs: 'Search tabs...', sessions: 'Search sessions...', snoozed: 'Search snoozed...', trash: 'Search trash...' }[view];
 
   // Clear search when switching views
   if (searchQuery) {
     searchQuery = '';
+    searchResults = null;
     searchInput.value = '';
     document.getElementById('search-clear').classList.add('hidden');
   }
 
-  if (view === 'tabs') {
-    tabList.classList.remove('hidden');
-    sessionsList.classList.add('hidden');
+  tabList.classList.toggle('hidden', view !== 'tabs');
+  document.getElementById('search-actions').classList.add('hidden');
+  sessionsList.classList.toggle('hidden', view !== 'sessions');
+  trashList.classList.toggle('hidden', view !== 'trash');
+  document.getElementById('snoozed-list').classList.toggle('hidden', view !== 'snoozed');
+  renderCurrentView();
+}
+
+function renderCurrentView() {
+  if (currentView === 'tabs') {
     render();
-  } else {
-    tabList.classList.add('hidden');
-    sessionsList.classList.remove('hidden');
+  } else if (currentView === 'sessions') {
     renderSessions();
+  } else if (currentView === 'snoozed') {
+    renderSnoozed();
+  } else {
+    renderTrash();
   }
 }
 
@@ -1228,10 +2457,31 @@ function setupSearch() {
     searchQuery = e.target.value.toLowerCase().trim();
     searchClear.classList.toggle('hidden', !searchQuery);
 
-    if (currentView === 'tabs') {
-      render();
-    } else {
-      renderSessions();
+    renderCurrentView();
+  });
+
+  // Bulk actions on all matches
+  document.getElementById('search-actions').addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+    if (!action) return;
+
+    const tabIds = getScopeTabIds().filter(tabMatchesSearch);
+    if (tabIds.length === 0) return;
+
+    switch (action) {
+      case 'close':
+        await closeTabs(tabIds);
+        break;
+      case 'group': {
+        const name = prompt('Enter group name:', searchInput.value.trim());
+        if (name && name.trim()) await createGroup(tabIds, name.trim());
+        break;
+      }
+      case 'move': {
+        const rect = e.target.getBoundingClientRect();
+        showChoiceMenu(rect.left, rect.bottom + 4, 'Move matches to', getMoveWindowChoices(tabIds));
+        break;
+      }
     }
   });
 
@@ -1241,25 +2491,32 @@ function setupSearch() {
     searchClear.classList.add('hidden');
     searchInput.focus();
 
-    if (currentView === 'tabs') {
-      render();
-    } else {
-      renderSessions();
-    }
+    renderCurrentView();
   });
 
-  // Escape to clear search
-  searchInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
+  // Escape (see the keymap) to clear search, Enter opens the best match, Down moves into the results
+  searchInput.addEventListener('keydown', async (e) => {
+    if (currentView === 'tabs' && searchResults && (e.key === 'Enter' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      const resultIds = getNavigableTabIds(getScopeTabIds());
+      if (resultIds.length === 0) return;
+
+      if (e.key === 'Enter') {
+        const best = resultIds.reduce((a, b) => searchResults.get(b).score > searchResults.get(a).score ? b : a);
+        await chrome.tabs.update(best, { active: true });
+      } else {
+        focusTabItem(resultIds[0]);
+      }
+      return;
+    }
+
+    const combo = getKeyCombo(e);
+    if (combo && !isTypingCombo(combo) && keyBindings.get(combo) === 'clear-search') {
       if (searchQuery) {
         searchQuery = '';
         searchInput.value = '';
         searchClear.classList.add('hidden');
-        if (currentView === 'tabs') {
-          render();
-        } else {
-          renderSessions();
-        }
+        renderCurrentView();
       }
       searchInput.blur();
     }
@@ -1277,82 +2534,14 @@ function focusSearch() {
 
 // Sessions Management
 async function saveGroupAsSession(group) {
-  const sessionId = group.linkedSessionId || crypto.randomUUID();
-  const isUpdate = !!group.linkedSessionId;
-
-  // Capture current tab data
-  const sessionTabs = group.tabs.map(tabId => {
-    const data = tabData[tabId];
-    return {
-      url: data?.url || '',
-      title: data?.title || 'Unknown',
-      customName: customNames[tabId] || null
-    };
-  }).filter(t => t.url); // Only save tabs with valid URLs
-
-  // Set autoSave based on settings for new saves
-  if (!isUpdate && group.autoSave === undefined) {
-    const { settings = {} } = await chrome.storage.local.get('settings');
-    group.autoSave = settings.defaultAutoSave || false;
-  }
-
-  const session = {
-    id: sessionId,
-    name: group.name,
-    color: group.color,
-    autoSave: group.autoSave || false,  // Persist autoSave state in session
-    createdAt: isUpdate ? (savedSessions[sessionId]?.createdAt || Date.now()) : Date.now(),
-    updatedAt: Date.now(),
-    tabs: sessionTabs
-  };
-
-  savedSessions[sessionId] = session;
-  await chrome.storage.local.set({ savedSessions });
-
-  // Link group to session
-  group.linkedSessionId = sessionId;
-  await saveItems();
-  render();
+  await sendCommand('save-session', { groupId: group.group });
 }
 
 async function saveGroupAsNewSession(group) {
   const name = prompt('Enter session name:', group.name);
   if (!name || !name.trim()) return;
 
-  const sessionId = crypto.randomUUID();
-
-  // Set autoSave based on settings
-  const { settings = {} } = await chrome.storage.local.get('settings');
-  const autoSaveValue = settings.defaultAutoSave || false;
-
-  // Capture current tab data
-  const sessionTabs = group.tabs.map(tabId => {
-    const data = tabData[tabId];
-    return {
-      url: data?.url || '',
-      title: data?.title || 'Unknown',
-      customName: customNames[tabId] || null
-    };
-  }).filter(t => t.url);
-
-  const session = {
-    id: sessionId,
-    name: name.trim(),
-    color: group.color,
-    autoSave: autoSaveValue,  // Persist autoSave state in session
-    createdAt: Date.now(),
-    updatedAt: Date.now(),
-    tabs: sessionTabs
-  };
-
-  savedSessions[sessionId] = session;
-  await chrome.storage.local.set({ savedSessions });
-
-  // Update group to link to new session
-  group.linkedSessionId = sessionId;
-  group.autoSave = autoSaveValue;
-  await saveItems();
-  render();
+  await sendCommand('save-session-as-new', { groupId: group.group, name: name.trim() });
 }
 
 async function restoreSession(sessionId) {
@@ -1360,14 +2549,21 @@ async function restoreSession(sessionId) {
   if (!session || session.tabs.length === 0) return;
 
   // Option A: Check if a group already exists linked to this session
-  const existingGroup = items.find(item => item.group && item.linkedSessionId === sessionId);
+  const existingGroup = getAllGroups(items).find(group => group.linkedSessionId === sessionId);
+  if (existingGroup?.archived) {
+    // Reopen an archived group in its place
+    switchView('tabs');
+    await unarchiveGroup(existingGroup.group);
+    return;
+  }
   if (existingGroup) {
     // Switch to tabs view and focus the existing group
     switchView('tabs');
 
     // Focus first tab in the group
-    if (existingGroup.tabs.length > 0) {
-      const firstTabId = existingGroup.tabs[0];
+    const existingTabIds = getAllTabIds(existingGroup.tabs);
+    if (existingTabIds.length > 0) {
+      const firstTabId = existingTabIds[0];
       await chrome.tabs.update(firstTabId, { active: true });
       // Don't call chrome.windows.update - it steals focus from side panel
       keyboardFocusedTabId = firstTabId;
@@ -1387,113 +2583,256 @@ async function restoreSession(sessionId) {
     return;
   }
 
-  const BATCH_SIZE = 5;
-  const BATCH_DELAY = 150;
-  const createdTabIds = [];
-  const newCustomNames = {};
-
-  // Create tabs in batches
-  for (let i = 0; i < session.tabs.length; i += BATCH_SIZE) {
-    const batch = session.tabs.slice(i, i + BATCH_SIZE);
-
-    const results = await Promise.allSettled(
-      batch.map(tab =>
-        chrome.tabs.create({
-          url: tab.url,
-          active: false
-        })
-      )
-    );
-
-    results.forEach((result, idx) => {
-      if (result.status === 'fulfilled') {
-        const newTabId = result.value.id;
-        restoringTabIds.add(newTabId);  // Mark IMMEDIATELY so onCreated skips it
-        createdTabIds.push(newTabId);
-        tabData[newTabId] = extractTabData(result.value);
-
-        // Store custom name if exists
-        if (batch[idx].customName) {
-          newCustomNames[newTabId] = batch[idx].customName;
-        }
-      }
-    });
-
-    // Delay between batches
-    if (i + BATCH_SIZE < session.tabs.length) {
-      await new Promise(r => setTimeout(r, BATCH_DELAY));
-    }
-  }
+  await restoreSessionWith(sessionId);
+}
 
-  if (createdTabIds.length === 0) return;
+// Restore a session as a new group (the service worker creates the tabs and the group).
+// options: { windowId: 'new', index, linked: false } - see the restore-session command
+async function restoreSessionWith(sessionId, options = {}) {
+  const createdTabIds = await sendCommand('restore-session', { sessionId, ...options });
+  if (!createdTabIds || createdTabIds.length === 0) return;
 
-  // Create group with restored tabs (onCreated skipped adding these due to restoringTabIds)
-  const group = {
-    group: generateGroupId(),
-    name: session.name,
-    color: session.color,
-    autoSave: session.autoSave || false,  // Restore autoSave state from session
-    tabs: createdTabIds,
-    linkedSessionId: sessionId
-  };
+  // Switch to tabs view
+  switchView('tabs');
 
-  items.push(group);
+  // Activate first restored tab
+  await chrome.tabs.update(createdTabIds[0], { active: true });
+}
 
-  // Save custom names
-  if (Object.keys(newCustomNames).length > 0) {
-    Object.assign(customNames, newCustomNames);
-    await chrome.storage.local.set({ customNames });
+// Add the session's tabs to an existing group, leaving out URLs already open there
+async function mergeSessionIntoGroup(sessionId, groupId) {
+  const createdTabIds = await sendCommand('merge-session', { sessionId, groupId });
+  if (!createdTabIds || createdTabIds.length === 0) {
+    showToast('All tabs of this session are already open in the group');
+    return;
   }
 
-  await saveItems();
-
-  // Switch to tabs view
   switchView('tabs');
+  await chrome.tabs.update(createdTabIds[0], { active: true });
+}
 
-  // Activate first restored tab
-  if (createdTabIds.length > 0) {
-    await chrome.tabs.update(createdTabIds[0], { active: true });
+// Root positions in the current window a session can be restored at
+function getRestorePositions() {
+  const positions = [{ label: 'Top of the list', index: 0 }];
+
+  const activeId = Number(Object.keys(tabData).find(id => tabData[id].active && tabData[id].windowId === currentWindowId));
+  const activeIndex = items.findIndex(item => item === activeId || (item.group && getAllTabIds(item.tabs).includes(activeId)));
+  if (activeIndex !== -1) {
+    const label = items[activeIndex].group ? `After the active tab's group` : 'After the active tab';
+    positions.push({ label, index: activeIndex + 1 });
   }
+
+  items.forEach((item, i) => {
+    if (item.group && getAllTabIds(item.tabs).some(id => tabData[id]?.windowId === currentWindowId)) {
+      positions.push({ label: `After "${item.name}"`, index: i + 1 });
+    }
+  });
+
+  positions.push({ label: 'Bottom of the list', index: items.length });
+  return positions;
 }
 
+// Deleted sessions go to the trash - no need to confirm
 async function deleteSession(sessionId) {
-  if (!confirm('Delete this saved session?')) return;
+  await sendCommand('delete-session', { sessionId });
+}
 
-  delete savedSessions[sessionId];
-  await chrome.storage.local.set({ savedSessions });
+async function updateSession(sessionId, changes) {
+  await sendCommand('update-session', { sessionId, changes });
+}
 
-  // Clear linkedSessionId from any groups that reference this session
-  let needsSave = false;
-  items.forEach(item => {
-    if (item.group && item.linkedSessionId === sessionId) {
-      delete item.linkedSessionId;
-      needsSave = true;
+async function renameSession(sessionId) {
+  const session = savedSessions[sessionId];
+  if (!session) return;
+
+  const name = prompt('Enter session name:', session.name);
+  if (name && name.trim()) {
+    await updateSession(sessionId, { name: name.trim() });
+  }
+}
+
+function toggleSessionExpanded(sessionId) {
+  if (expandedSessions.has(sessionId)) {
+    expandedSessions.delete(sessionId);
+  } else {
+    expandedSessions.add(sessionId);
+  }
+  renderSessions();
+}
+
+// Open a single stored tab (with its custom name) without restoring the session
+async function openSessionTab(sessionId, path) {
+  const entry = getSessionEntry(savedSessions[sessionId].tabs, path);
+  if (!entry) return;
+
+  await sendCommand('open-session-tab', { entry });
+}
+
+// Entry at a data-path ("2.0" = first tab of the sub-group at index 2)
+function getSessionEntry(tabs, path) {
+  return path.split('.').map(Number).reduce((entry, index, i) =>
+    (i === 0 ? tabs : entry?.tabs)?.[index], null);
+}
+
+// HTML for stored tabs and sub-groups; data-path locates each entry in session.tabs.
+// Previews (editable = false) leave out the remove buttons.
+function renderSessionEntries(entries, path = [], editable = true) {
+  return entries.map((entry, i) => {
+    const entryPath = [...path, i];
+    if (isSessionGroup(entry)) {
+      return `
+        <div class="session-subgroup" data-path="${entryPath.join('.')}">
+          <div class="session-subgroup-header">
+            <span class="group-color-dot" style="background: ${entry.color}"></span>
+            <span class="session-subgroup-name">${escapeHtml(entry.name)}</span>
+          </div>
+          <div class="session-tabs">${renderSessionEntries(entry.tabs, entryPath, editable)}</div>
+        </div>
+      `;
     }
-  });
+    return `
+      <div class="session-tab" data-path="${entryPath.join('.')}" title="Open ${escapeAttr(entry.url)}">
+        <div class="session-tab-info">
+          <span class="session-tab-title${entry.customName ? ' custom-name' : ''}">${escapeHtml(entry.customName || entry.title)}</span>
+          <span class="session-tab-url">${escapeHtml(entry.url)}</span>
+        </div>
+        ${editable ? '<button class="session-tab-remove" title="Remove from session">&times;</button>' : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+// Rebuild session tabs from an edited (reordered or shortened) list - entries are looked
+// up by their original data-path, sub-groups left without tabs are dropped
+function readSessionTabs(listEl, session) {
+  return [...listEl.children].filter(el => el.dataset.path !== undefined).map(el => {
+    const entry = getSessionEntry(session.tabs, el.dataset.path);
+    if (!isSessionGroup(entry)) return entry;
+
+    const { tabs, ...group } = entry;
+    return { ...group, tabs: readSessionTabs(el.querySelector(':scope > .session-tabs'), session) };
+  }).filter(entry => !isSessionGroup(entry) || entry.tabs.length > 0);
+}
+
+async function saveSessionTabs(sessionId, listEl) {
+  const session = savedSessions[sessionId];
+  if (!session) return;
 
-  if (needsSave) {
-    await saveItems();
+  const tabs = readSessionTabs(listEl, session);
+  if (getSessionTabEntries(tabs).length === 0) {
+    renderSessions();  // Put the last tab back unless the session goes
+    await deleteSession(sessionId);
+    return;
   }
+  await updateSession(sessionId, { tabs });
+}
+
+// Version History
 
+function toggleSessionVersions(sessionId) {
+  versionsSessionId = versionsSessionId === sessionId ? null : sessionId;
+  previewVersion = null;
   renderSessions();
 }
 
+async function rollbackSession(sessionId, versionId) {
+  previewVersion = null;
+  await sendCommand('rollback-session', { sessionId, versionId });
+}
+
+// Summary like "+3 tabs, −5 tabs" from one version's tabs to the next (matched by URL)
+function describeTabChanges(fromTabs, toTabs) {
+  const remaining = new Map();
+  getSessionTabEntries(fromTabs).forEach(tab => {
+    remaining.set(tab.url, (remaining.get(tab.url) || 0) + 1);
+  });
+
+  let added = 0;
+  getSessionTabEntries(toTabs).forEach(tab => {
+    if (remaining.get(tab.url) > 0) {
+      remaining.set(tab.url, remaining.get(tab.url) - 1);
+    } else {
+      added++;
+    }
+  });
+  const removed = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+
+  const plural = count => `${count} tab${count === 1 ? '' : 's'}`;
+  const parts = [];
+  if (added) parts.push(`+${plural(added)}`);
+  if (removed) parts.push(`−${plural(removed)}`);
+  if (parts.length === 0) return JSON.stringify(fromTabs) === JSON.stringify(toTabs) ? 'No tab changes' : 'Reordered';
+  return parts.join(', ');
+}
+
+// Current content and earlier versions, each with its change from the version before
+function renderSessionVersions(session) {
+  const versions = session.versions || [];
+  const rows = [
+    { ...session, current: true },
+    ...versions
+  ].map((version, i, all) => {
+    const previous = all[i + 1];
+    const summary = previous
+      ? describeTabChanges(previous.tabs, version.tabs)
+      : `${getSessionTabEntries(version.tabs).length} tabs`;
+    const savedAt = version.current ? session.updatedAt : version.savedAt ?? version.replacedAt;
+    const isPreviewed = !version.current && previewVersion === version.id;
+
+    return `
+      <div class="session-version${version.current ? ' current' : ''}${isPreviewed ? ' previewed' : ''}" data-version-id="${version.current ? '' : escapeAttr(version.id)}">
+        <span class="session-version-color" style="background: ${version.color}"></span>
+        <div class="session-version-info">
+          <span class="session-version-date">${version.current ? 'Current' : formatDateTime(savedAt)}${version.name !== session.name ? ` • ${escapeHtml(version.name)}` : ''}</span>
+          <span class="session-version-summary">${summary}</span>
+        </div>
+        ${version.current ? '' : `
+        <button class="session-version-btn" data-action="preview">${isPreviewed ? 'Hide' : 'Preview'}</button>
+        <button class="session-version-btn" data-action="rollback">Roll back</button>
+        `}
+      </div>
+      ${isPreviewed ? `
+      <div class="session-tabs session-version-preview">
+        ${renderSessionEntries(version.tabs, [], false)}
+      </div>
+      ` : ''}
+    `;
+  });
+
+  return `<div class="session-versions" data-session-id="${session.id}">${rows.join('')}</div>`;
+}
+
+function initSessionSortable(listEl, sessionId, rootList) {
+  const sortable = new Sortable(listEl, {
+    group: `session-${sessionId}`,  // Entries move within their own session only
+    animation: 150,
+    ghostClass: 'sortable-ghost',
+    chosenClass: 'sortable-chosen',
+    dragClass: 'sortable-drag',
+    draggable: '.session-tab, .session-subgroup',
+    filter: '.session-tabs',  // Entries of a sub-group are dragged by its own instance
+    onEnd: async () => {
+      await saveSessionTabs(sessionId, rootList);
+    }
+  });
+  sessionSortables.push(sortable);
+}
+
 function renderSessions() {
   const sessionsList = document.getElementById('sessions-list');
 
-  // Filter sessions based on search query
+  // Filter sessions based on search query (name, sub-groups, tab titles and URLs)
   const allSessions = Object.values(savedSessions);
-  const filteredSessions = searchQuery
-    ? allSessions.filter(session => {
-        const name = session.name.toLowerCase();
-        // Also search within tab titles
-        const tabTitles = session.tabs.map(t => t.title.toLowerCase()).join(' ');
-        return name.includes(searchQuery) || tabTitles.includes(searchQuery);
-      })
-    : allSessions;
-
-  // Sort based on current sort order and direction
+  const matches = searchQuery
+    ? searchSessions(allSessions.map(session => ({ key: session.id, name: session.name, tabs: session.tabs })))
+    : null;
+  const filteredSessions = matches ? allSessions.filter(session => matches.has(session.id)) : allSessions;
+
+  // Sort by relevance while searching, otherwise by the chosen order and direction
   const sortedSessions = filteredSessions.sort((a, b) => {
+    if (matches && matches.get(a.id).score !== matches.get(b.id).score) {
+      return matches.get(b.id).score - matches.get(a.id).score;
+    }
     let result;
     switch (sessionSortOrder) {
       case 'name':
@@ -1553,17 +2892,28 @@ function renderSessions() {
     return;
   }
 
+  sessionSortables.forEach(s => s.destroy());
+  sessionSortables = [];
+
   sessionsList.innerHTML = sortControls + sortedSessions.map(session => {
     const date = formatDate(session.updatedAt);
+    const isExpanded = expandedSessions.has(session.id);
     return `
-      <div class="session-item" data-session-id="${session.id}">
+      <div class="session-item${isExpanded ? ' expanded' : ''}" data-session-id="${session.id}">
+        <button class="session-chevron" title="${isExpanded ? 'Hide tabs' : 'Show tabs'}">▾</button>
         <span class="session-color" style="background: ${session.color}"></span>
         <div class="session-info">
-          <span class="session-name">${escapeHtml(session.name)}</span>
-          <span class="session-meta">${session.tabs.length} tabs • ${date}</span>
+          <span class="session-name">${highlightText(session.name, matches?.get(session.id).ranges)}</span>
+          <span class="session-meta">${getSessionTabEntries(session.tabs).length} tabs • ${date}</span>
         </div>
         <button class="session-delete" title="Delete session">&times;</button>
       </div>
+      ${isExpanded ? `
+      <div class="session-tabs session-tabs-root" data-session-id="${session.id}">
+        ${renderSessionEntries(session.tabs)}
+      </div>
+      ` : ''}
+      ${versionsSessionId === session.id ? renderSessionVersions(session) : ''}
     `;
   }).join('');
 
@@ -1577,10 +2927,55 @@ function renderSessions() {
       if (e.target.classList.contains('session-delete')) {
         e.stopPropagation();
         deleteSession(sessionId);
+      } else if (e.target.classList.contains('session-chevron')) {
+        toggleSessionExpanded(sessionId);
       } else {
         restoreSession(sessionId);
       }
     });
+
+    item.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      showSessionContextMenu(e.clientX, e.clientY, sessionId);
+    });
+  });
+
+  // Expanded sessions: open or remove single tabs, drag to reorder
+  sessionsList.querySelectorAll('.session-tabs-root').forEach(rootList => {
+    const sessionId = rootList.dataset.sessionId;
+
+    rootList.addEventListener('click', async (e) => {
+      const tabEl = e.target.closest('.session-tab');
+      if (!tabEl) return;
+
+      if (e.target.classList.contains('session-tab-remove')) {
+        tabEl.remove();
+        await saveSessionTabs(sessionId, rootList);
+      } else {
+        await openSessionTab(sessionId, tabEl.dataset.path);
+      }
+    });
+
+    [rootList, ...rootList.querySelectorAll('.session-tabs')].forEach(list => {
+      initSessionSortable(list, sessionId, rootList);
+    });
+  });
+
+  sessionsList.querySelectorAll('.session-versions').forEach(versionsEl => {
+    const sessionId = versionsEl.dataset.sessionId;
+
+    versionsEl.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+      if (!action) return;
+
+      const versionId = e.target.closest('.session-version').dataset.versionId;
+      if (action === 'preview') {
+        previewVersion = previewVersion === versionId ? null : versionId;
+        renderSessions();
+      } else if (action === 'rollback') {
+        await rollbackSession(sessionId, versionId);
+      }
+    });
   });
 }
 
@@ -1604,6 +2999,260 @@ function setupSortHandlers() {
   });
 }
 
+// Trash
+// Deleted sessions and closed groups, newest first. The service worker drops entries
+// after the retention set on the Settings page.
+
+function renderTrash() {
+  const trashList = document.getElementById('trash-list');
+
+  if (trash.length === 0) {
+    trashList.innerHTML = `
+      <div class="sessions-empty">
+        <p>Trash is empty</p>
+        <p>Deleted sessions and closed groups show up here</p>
+      </div>
+    `;
+    return;
+  }
+
+  const matches = searchQuery
+    ? searchSessions(trash.map(entry => ({ key: entry.id, ...(entry.type === 'session' ? entry.session : entry.group) })))
+    : null;
+  const entries = matches ? trash.filter(entry => matches.has(entry.id)) : trash;
+
+  const header = `
+    <div class="sessions-header">
+      <button id="trash-empty" class="trash-empty-btn">Empty trash</button>
+    </div>
+  `;
+
+  if (entries.length === 0) {
+    trashList.innerHTML = header + `
+      <div class="search-no-results">
+        <p>Nothing in the trash matching "${escapeHtml(searchQuery)}"</p>
+      </div>
+    `;
+  } else {
+    trashList.innerHTML = header + entries.map(entry => {
+      const { name, color, tabs } = entry.type === 'session' ? entry.session : entry.group;
+      const kind = entry.type === 'session' ? 'Session' : 'Closed group';
+      return `
+        <div class="session-item trash-item" data-trash-id="${entry.id}" title="Click to restore">
+          <span class="session-color" style="background: ${color}"></span>
+          <div class="session-info">
+            <span class="session-name">${highlightText(name, matches?.get(entry.id).ranges)}</span>
+            <span class="session-meta">${kind} • ${getSessionTabEntries(tabs).length} tabs • deleted ${formatDateTime(entry.deletedAt)}</span>
+          </div>
+          <button class="session-delete" title="Delete permanently">&times;</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  document.getElementById('trash-empty').addEventListener('click', emptyTrash);
+
+  trashList.querySelectorAll('.trash-item').forEach(item => {
+    const trashId = item.dataset.trashId;
+
+    item.addEventListener('click', async (e) => {
+      if (e.target.classList.contains('session-delete')) {
+        e.stopPropagation();
+        await purgeTrashEntry(trashId);
+      } else {
+        await restoreFromTrash(trashId);
+      }
+    });
+  });
+}
+
+// Sessions come back to the Sessions view, groups reopen where they were
+async function restoreFromTrash(trashId) {
+  const entry = trash.find(e => e.id === trashId);
+  const createdTabIds = await sendCommand('restore-trash', { trashId });
+  if (entry?.type !== 'group' || !createdTabIds || createdTabIds.length === 0) return;
+
+  switchView('tabs');
+  await chrome.tabs.update(createdTabIds[0], { active: true });
+}
+
+async function purgeTrashEntry(trashId) {
+  if (!confirm('Delete permanently? This can\'t be undone.')) return;
+  await sendCommand('purge-trash', { trashId });
+}
+
+// Snoozed
+// Snoozed tabs and groups reopen where they were at the chosen time (see Snooze in
+// service-worker.js)
+
+const SNOOZE_MORNING_HOUR = 9;
+const SNOOZE_EVENING_HOUR = 18;
+
+// { label, wakeAt } for the quick choices
+function getSnoozeTimes(now = new Date()) {
+  const at = (daysAhead, hour) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() + daysAhead);
+    date.setHours(hour, 0, 0, 0);
+    return date.getTime();
+  };
+  const daysUntil = weekday => (weekday - now.getDay() + 7) % 7 || 7;
+
+  const times = [{ label: 'In 3 hours', wakeAt: now.getTime() + 3 * 60 * 60 * 1000 }];
+  if (now.getHours() < SNOOZE_EVENING_HOUR - 1) {
+    times.push({ label: 'This evening', wakeAt: at(0, SNOOZE_EVENING_HOUR) });
+  }
+  times.push({ label: 'Tomorrow morning', wakeAt: at(1, SNOOZE_MORNING_HOUR) });
+  if (now.getDay() !== 6 && now.getDay() !== 0) {
+    times.push({ label: 'This weekend', wakeAt: at(daysUntil(6), SNOOZE_MORNING_HOUR) });
+  }
+  times.push({ label: 'Next Monday', wakeAt: at(daysUntil(1), SNOOZE_MORNING_HOUR) });
+  times.push({ label: 'In a week', wakeAt: at(7, SNOOZE_MORNING_HOUR) });
+  return times;
+}
+
+// Pick a wake time (quick choices or a typed one), then snooze(wakeAt)
+function showSnoozeMenu(x, y, title, snooze) {
+  const choices = getSnoozeTimes().map(({ label, wakeAt }) => ({
+    label: `${label} (${formatWakeTime(wakeAt)})`,
+    run: () => snooze(wakeAt)
+  }));
+  choices.push({ label: 'Pick date & time...', run: () => promptSnoozeTime(snooze) });
+  showChoiceMenu(x, y, title, choices);
+}
+
+function showSnoozeMenuInList(title, snooze) {
+  const { x, y } = getListMenuPosition();
+  showSnoozeMenu(x, y, title, snooze);
+}
+
+async function promptSnoozeTime(snooze) {
+  const tomorrow = new Date(getSnoozeTimes().find(time => time.label === 'Tomorrow morning').wakeAt);
+  const pad = n => String(n).padStart(2, '0');
+  const suggestion = `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())} ${pad(tomorrow.getHours())}:00`;
+
+  const input = prompt('Snooze until (YYYY-MM-DD HH:MM):', suggestion);
+  if (input === null) return;
+
+  const wakeAt = new Date(input.trim().replace(' ', 'T')).getTime();
+  if (Number.isNaN(wakeAt)) {
+    showToast(`Can't read "${input}" as a date and time`);
+  } else if (wakeAt <= Date.now()) {
+    showToast('That time has already passed');
+  } else {
+    await snooze(wakeAt);
+  }
+}
+
+async function snoozeTabs(tabIds, wakeAt) {
+  if (!confirmProtectedTabs(tabIds, 'Snooze')) return;
+  selectedTabs.clear();
+  const snoozedIds = await sendCommand('snooze-tabs', { tabIds, wakeAt, force: true });
+  if (snoozedIds?.length > 0) showToast(`Snoozed until ${formatWakeTime(wakeAt)}`);
+}
+
+async function snoozeGroup(groupId, wakeAt) {
+  const group = findGroup(items, groupId);
+  if (!group || !confirmProtectedTabs(getAllTabIds(group.tabs), 'Snooze the group')) return;
+  if (await sendCommand('snooze-group', { groupId, wakeAt, force: true })) {
+    showToast(`Snoozed until ${formatWakeTime(wakeAt)}`);
+  }
+}
+
+// "Today, 6:00 PM", "Tomorrow, 9:00 AM", "Mon, Oct 20, 9:00 AM"
+function formatWakeTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const dayDiff = Math.round((new Date(date).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / (24 * 60 * 60 * 1000));
+
+  if (dayDiff === 0) return `Today, ${time}`;
+  if (dayDiff === 1) return `Tomorrow, ${time}`;
+  return `${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}, ${time}`;
+}
+
+function renderSnoozed() {
+  const snoozedList = document.getElementById('snoozed-list');
+
+  if (snoozed.length === 0) {
+    snoozedList.innerHTML = `
+      <div class="sessions-empty">
+        <p>Nothing snoozed</p>
+        <p>Right-click a tab or group header → Snooze to close it until later</p>
+      </div>
+    `;
+    return;
+  }
+
+  const entryInfo = entry => entry.type === 'group'
+    ? entry.group
+    : { name: entry.tab.customName || entry.tab.title || entry.tab.url, tabs: [entry.tab] };
+  const matches = searchQuery
+    ? searchSessions(snoozed.map(entry => ({ key: entry.id, ...entryInfo(entry) })))
+    : null;
+  const entries = (matches ? snoozed.filter(entry => matches.has(entry.id)) : snoozed)
+    .slice().sort((a, b) => a.wakeAt - b.wakeAt);
+
+  if (entries.length === 0) {
+    snoozedList.innerHTML = `
+      <div class="search-no-results">
+        <p>Nothing snoozed matching "${escapeHtml(searchQuery)}"</p>
+      </div>
+    `;
+    return;
+  }
+
+  snoozedList.innerHTML = entries.map(entry => {
+    const { name, color } = entryInfo(entry);
+    const kind = entry.type === 'group' ? `Group • ${getSessionTabEntries(entry.group.tabs).length} tabs` : 'Tab';
+    return `
+      <div class="session-item snoozed-item" data-snooze-id="${entry.id}" title="Click to open now">
+        <span class="session-color" style="background: ${color || 'var(--text-secondary)'}"></span>
+        <div class="session-info">
+          <span class="session-name">${highlightText(name, matches?.get(entry.id).ranges)}</span>
+          <span class="session-meta">${kind} • until ${formatWakeTime(entry.wakeAt)}</span>
+        </div>
+        <button class="session-delete" title="Cancel without reopening">&times;</button>
+      </div>
+    `;
+  }).join('');
+
+  snoozedList.querySelectorAll('.snoozed-item').forEach(item => {
+    const snoozeId = item.dataset.snoozeId;
+
+    item.addEventListener('click', async (e) => {
+      if (e.target.classList.contains('session-delete')) {
+        e.stopPropagation();
+        await discardSnoozed(snoozeId);
+      } else {
+        await wakeSnoozed(snoozeId);
+      }
+    });
+  });
+}
+
+async function wakeSnoozed(snoozeId) {
+  const createdTabIds = await sendCommand('wake-snoozed', { snoozeId });
+  if (!createdTabIds || createdTabIds.length === 0) return;
+
+  switchView('tabs');
+  await chrome.tabs.update(createdTabIds[0], { active: true });
+}
+
+async function discardSnoozed(snoozeId) {
+  if (!confirm('Cancel the snooze without reopening? The tabs are gone for good.')) return;
+  await sendCommand('discard-snoozed', { snoozeId });
+}
+
+async function emptyTrash() {
+  if (!confirm(`Permanently delete all ${trash.length} items in the trash? This can't be undone.`)) return;
+  await sendCommand('purge-trash');
+}
+
+function formatDateTime(timestamp) {
+  const time = new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  return `${formatDate(timestamp)}, ${time}`;
+}
+
 function formatDate(timestamp) {
   const date = new Date(timestamp);
   const now = new Date();